@@ -0,0 +1,188 @@
+// Type definitions for the envsetter library API (src/api.js)
+
+/// <reference types="node" />
+
+export interface Location {
+  /** Path of the file, relative to the scanned folder (repo root in check results) */
+  file: string
+  /** 1-based, null when only the file is known */
+  line: number | null
+  column: number | null
+}
+
+export interface SchemaField {
+  name: string
+  line: number
+  type: string
+  choices: string[]
+  defaultValue?: string
+  description?: string
+  optional: boolean
+  /** File the schema was declared in */
+  source: string
+}
+
+/** One variable as returned by scan() */
+export interface Variable {
+  key: string
+  files: string[]
+  locations: Location[]
+  /** Fallback values found in code, such as `process.env.PORT || 3000` */
+  defaults: string[]
+  required: boolean
+  schema: SchemaField | null
+}
+
+/** Raw scanner entry, as found in the Map scanCodebase resolves to */
+export interface ScanEntry {
+  files: Set<string>
+  locations: Array<{file: string, line: number, column: number}>
+  defaults: Set<string>
+  required?: boolean
+  schema?: SchemaField
+}
+
+export interface ParseError {
+  line: number
+  message: string
+}
+
+export interface EnvFolder {
+  /** Relative to the folder discovery started in, "." for itself */
+  relPath: string
+  absPath: string
+  envFiles: string[]
+}
+
+export interface ScanOptions {
+  /** Folder to scan, default process.cwd() */
+  cwd?: string
+  /** Scan source code, not just env files */
+  deep?: boolean
+  /** Reuse the results of unchanged files from .envsetter/cache — default true */
+  cache?: boolean
+}
+
+export interface CheckOptions {
+  cwd?: string
+  /** Env file relative to cwd — default: the configured target, else .env */
+  file?: string
+  /** Compare against .env.example: keys only have to be declared */
+  example?: boolean
+  /** Count variables set in process.env */
+  env?: boolean
+  /** Only missing required variables make the check fail — default false */
+  ignoreOptional?: boolean
+  /** Reuse the results of unchanged files from .envsetter/cache — default true */
+  cache?: boolean
+}
+
+export interface CheckVariable {
+  key: string
+  required: boolean
+  set: boolean
+  locations: Location[]
+}
+
+export interface CheckResult {
+  /** Env file checked, relative to the repo root */
+  target: string
+  /** False when a variable is missing — only a required one with ignoreOptional */
+  ok: boolean
+  ignoreOptional: boolean
+  variables: CheckVariable[]
+  errors: ParseError[]
+}
+
+export type ReportFormat = "json" | "junit" | "sarif"
+
+export interface DiffChange {
+  key: string
+  type: "added" | "removed" | "changed" | "unchanged"
+  /** null when the key isn't in the first file */
+  before: string | null
+  /** null when the key isn't in the second file */
+  after: string | null
+}
+
+export interface DiffResult {
+  /** One side is a template, so values were not compared */
+  keysOnly: boolean
+  changes: DiffChange[]
+}
+
+export type EnvValues = Map<string, string> | Record<string, string>
+
+export type ExportFormat = "json" | "yaml" | "shell" | "docker" | "k8s" | "k8s-secret" | "systemd"
+
+export interface LayerResult {
+  mode: string
+  preset: "next" | "vite"
+  /** Highest precedence first */
+  files: Array<{file: string, exists: boolean}>
+  values: Map<string, {value: string, file: string}>
+}
+
+export interface GitStatus {
+  root: string
+  ignored: boolean
+  tracked: boolean
+  gitignorePath: string
+  entry: string
+}
+
+// ─── High-level ────────────────────────────────────────────────────────────────
+
+/** Scan a folder and return its variables, sorted by name */
+export function scan(options?: ScanOptions): Promise<Variable[]>
+
+/** Scan the code of a folder and compare it with an env file */
+export function check(options?: CheckOptions): Promise<CheckResult>
+
+/** Compare two env files */
+export function diff(fileA: string, fileB: string): DiffResult
+
+/** Values of an env file, decrypting `.enc` files. A missing file reads as empty. */
+export function readEnv(filePath: string): Map<string, string>
+
+/** Set values in an env file, keeping comments and layout. Returns the number of keys written. */
+export function setValues(filePath: string, vars: EnvValues): number
+
+/** Remove keys from an env file. Returns the number of entries removed. */
+export function unsetValues(filePath: string, keys: string[]): number
+
+/**
+ * Short hash that tells values apart without revealing them. Keyed with a
+ * random per-process secret: compare fingerprints from the same run only.
+ */
+export function fingerprint(key: string, value: string): string
+
+/** Render a check result as a JSON, JUnit XML or SARIF report */
+export function formatReport(result: CheckResult, format: ReportFormat): string
+
+// ─── Building blocks ───────────────────────────────────────────────────────────
+// Scanner functions read the active project config — call loadConfig() first.
+
+export function scanCodebase(cwd: string, options?: {cache?: boolean}): Promise<Map<string, ScanEntry>>
+export function scanEnvFilesOnly(cwd: string): Map<string, ScanEntry>
+export function parseExistingEnv(envPath: string): Map<string, string>
+export function readEnvFile(envPath: string): {values: Map<string, string>, errors: ParseError[]}
+export function writeEnvFile(envFilePath: string, newVars: Map<string, string>, existingEnv?: Map<string, string>): number
+export function removeEnvKeys(envFilePath: string, keys: string[]): number
+export function discoverEnvFolders(cwd: string): EnvFolder[]
+export function findUnusedKeys(cwd: string, foundVars: Map<string, ScanEntry>, envFilePath: string): Array<{key: string, files: string[]}>
+export function syncToEnvExample(folderPath: string, keys: string[], foundVars?: Map<string, ScanEntry>): number
+export function loadConfig(cwd: string): Record<string, unknown>
+export function getDefaultTarget(folderPath: string): string | null
+export function getGitStatus(filePath: string): GitStatus | null
+export function resolveLayers(folderPath: string, mode: string, targetFile: string): LayerResult
+export function detectModes(folderPath: string): string[]
+export function exportEnv(
+  env: Map<string, string>,
+  format: ExportFormat,
+  options?: {name?: string, namespace?: string},
+): {output: string, warnings: string[]}
+export function parseImport(text: string): {format: string, values: Map<string, string>, errors: ParseError[]}
+export function loadKey(cwd: string, create?: boolean): {key: Buffer, source: string, created: boolean}
+export function encryptEnvFile(sourcePath: string, key: Buffer, targetPath?: string): {targetPath: string, count: number}
+export function decryptEnvFile(sourcePath: string, key: Buffer): {content: string, count: number}
@@ -0,0 +1,210 @@
+"use strict"
+
+const path = require("path")
+const crypto = require("crypto")
+const {
+  scanCodebase,
+  scanEnvFilesOnly,
+  parseExistingEnv,
+  readEnvFile,
+  discoverEnvFolders,
+  findUnusedKeys,
+} = require("./scanner")
+const {writeEnvFile, removeEnvKeys, syncToEnvExample} = require("./writer")
+const {loadConfig, getDefaultTarget} = require("./config")
+const {findRepoRoot, getGitStatus} = require("./ignore")
+const {isEncryptedFile, loadKey, readEncryptedEnv, sealValues, encryptEnvFile, decryptEnvFile} = require("./vault")
+const {resolveLayers, detectModes} = require("./layers")
+const {exportEnv, parseImport} = require("./formats")
+const {formatReport} = require("./report")
+
+// ─── Library API ────────────────────────────────────────────────────────────────
+//
+// Everything the CLI does, without console output or prompts: functions take
+// paths and options, return plain data and throw on failure. The CLI in
+// index.js is built on top of these. Types are in api.d.ts.
+
+const EXAMPLE_FILE = ".env.example"
+
+// Fingerprints are keyed per process, so they can't be brute-forced offline
+const FINGERPRINT_KEY = crypto.randomBytes(32)
+
+// .env.example and friends hold placeholders, not values
+function isTemplateFile(file) {
+  return /example|sample|template/.test(path.basename(file))
+}
+
+function hasUsableValue(values, key) {
+  const value = values.get(key)
+  return typeof value === "string" && value.trim().length > 0
+}
+
+function toMap(vars) {
+  return vars instanceof Map ? vars : new Map(Object.entries(vars))
+}
+
+/**
+ * The env file `file` names inside `cwd` — by default the configured target, else .env
+ */
+function resolveEnvFile(cwd, file) {
+  return path.resolve(cwd, file || getDefaultTarget(cwd) || ".env")
+}
+
+/**
+ * Scan a folder. Code is scanned with `deep`, otherwise only env files;
+ * `cache: false` re-reads every file instead of using the scan cache.
+ * Resolves to [{ key, files, locations, defaults, required, schema }] sorted by key
+ */
+async function scan(options = {}) {
+  const cwd = path.resolve(options.cwd || ".")
+  loadConfig(cwd)
+  const foundVars = options.deep ? await scanCodebase(cwd, {cache: options.cache}) : scanEnvFilesOnly(cwd)
+
+  return [...foundVars].sort(([a], [b]) => a.localeCompare(b)).map(([key, entry]) => ({
+    key,
+    files: [...entry.files],
+    locations: entry.locations.map(l => ({...l})),
+    defaults: [...entry.defaults],
+    required: entry.required !== false,
+    schema: entry.schema ? {...entry.schema} : null,
+  }))
+}
+
+/**
+ * Values of an env file — `.enc` files are decrypted with the project key.
+ * A missing file reads as empty.
+ */
+function readEnv(filePath) {
+  const fullPath = path.resolve(filePath)
+  return isEncryptedFile(fullPath)
+    ? readEncryptedEnv(fullPath, loadKey(path.dirname(fullPath)).key)
+    : parseExistingEnv(fullPath)
+}
+
+/**
+ * Set values in an env file (created if needed), keeping its comments and
+ * layout. `vars` is a Map or a plain object. Returns the number of keys written.
+ */
+function setValues(filePath, vars) {
+  const fullPath = path.resolve(filePath)
+  const newVars = toMap(vars)
+  if (newVars.size === 0) return 0
+
+  const existing = readEnv(fullPath)
+  const toWrite = isEncryptedFile(fullPath) ? sealValues(fullPath, newVars, loadKey(path.dirname(fullPath)).key) : newVars
+  return writeEnvFile(fullPath, toWrite, existing)
+}
+
+/**
+ * Remove keys from an env file. Returns the number of entries removed.
+ */
+function unsetValues(filePath, keys) {
+  return removeEnvKeys(path.resolve(filePath), keys)
+}
+
+/**
+ * Scan the code of a folder and compare it with an env file. Against a
+ * template (`example`, or a file named like .env.example) a key only has to
+ * be declared; otherwise it needs a value. With `env`, the process
+ * environment counts too. Any missing variable makes `ok` false — with
+ * `ignoreOptional`, only missing required ones do. Paths are relative to the repo root.
+ * Resolves to { target, ok, ignoreOptional, variables: [{ key, required, set, locations }], errors }
+ */
+async function check(options = {}) {
+  const cwd = path.resolve(options.cwd || ".")
+  loadConfig(cwd)
+  if (options.example && options.file) throw new Error("Use either example or file")
+
+  const fullPath = resolveEnvFile(cwd, options.example ? EXAMPLE_FILE : options.file)
+  const isTemplate = isTemplateFile(fullPath)
+  const foundVars = await scanCodebase(cwd, {cache: options.cache})
+  const {values, errors} = isEncryptedFile(fullPath) ? {values: readEnv(fullPath), errors: []} : readEnvFile(fullPath)
+  const processEnv = new Map(Object.entries(options.env ? process.env : {}))
+
+  const root = findRepoRoot(cwd)
+  const fromRoot = file => path.relative(root, path.resolve(cwd, file)).replace(/\\/g, "/")
+  const isSet = key => (isTemplate ? values.has(key) : hasUsableValue(values, key)) || hasUsableValue(processEnv, key)
+
+  const variables = [...foundVars].map(([key, entry]) => ({
+    key,
+    required: entry.required !== false,
+    set: isSet(key),
+    locations: entry.locations.length > 0
+      ? entry.locations.map(({file, line, column}) => ({file: fromRoot(file), line, column}))
+      : [...entry.files].map(file => ({file: fromRoot(file), line: null, column: null})),
+  }))
+
+  const ignoreOptional = Boolean(options.ignoreOptional)
+  return {
+    target: fromRoot(fullPath),
+    ok: !variables.some(v => !v.set && (v.required || !ignoreOptional)),
+    ignoreOptional,
+    variables,
+    errors,
+  }
+}
+
+/**
+ * Short hash that tells two values apart without revealing them. The key name
+ * is mixed in, so equal values under different keys don't stand out.
+ * An HMAC with a random key of this process — a short password can't be
+ * guessed from it, but fingerprints only compare within the same run.
+ */
+function fingerprint(key, value) {
+  return crypto.createHmac("sha256", FINGERPRINT_KEY).update(`${key}\0${value}`).digest("hex").substring(0, 12)
+}
+
+/**
+ * Compare two env files. Against a template only keys are compared.
+ * Returns { keysOnly, changes: [{ key, type, before, after }] } sorted by key,
+ * type being added | removed | changed | unchanged
+ */
+function diff(fileA, fileB) {
+  const a = readEnv(fileA)
+  const b = readEnv(fileB)
+  const keysOnly = isTemplateFile(fileA) || isTemplateFile(fileB)
+
+  const keys = [...new Set([...a.keys(), ...b.keys()])].sort()
+  const changes = keys.map(key => {
+    const before = a.has(key) ? a.get(key) : null
+    const after = b.has(key) ? b.get(key) : null
+    let type = "unchanged"
+    if (before === null) type = "added"
+    else if (after === null) type = "removed"
+    else if (!keysOnly && before !== after) type = "changed"
+    return {key, type, before, after}
+  })
+
+  return {keysOnly, changes}
+}
+
+module.exports = {
+  scan,
+  check,
+  diff,
+  readEnv,
+  setValues,
+  unsetValues,
+  fingerprint,
+  formatReport,
+  // Building blocks
+  scanCodebase,
+  scanEnvFilesOnly,
+  parseExistingEnv,
+  readEnvFile,
+  writeEnvFile,
+  removeEnvKeys,
+  discoverEnvFolders,
+  findUnusedKeys,
+  syncToEnvExample,
+  loadConfig,
+  getDefaultTarget,
+  getGitStatus,
+  resolveLayers,
+  detectModes,
+  exportEnv,
+  parseImport,
+  loadKey,
+  encryptEnvFile,
+  decryptEnvFile,
+}
@@ -0,0 +1,300 @@
+"use strict"
+
+const babelParser = require("@babel/parser")
+
+// ─── Parser Setup ───────────────────────────────────────────────────────────────
+
+// Extensions handled by the AST pass; everything else uses the regex patterns
+const JS_EXTENSIONS = new Set([".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"])
+
+function getParserPlugins(filePath) {
+  if (/\.tsx$/i.test(filePath)) return ["typescript", "jsx", "decorators-legacy"]
+  if (/\.[mc]?ts$/i.test(filePath)) return ["typescript", "decorators-legacy"]
+  return ["jsx", "decorators-legacy"]
+}
+
+function parseSource(content, filePath) {
+  return babelParser.parse(content, {
+    sourceType: "unambiguous",
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowSuperOutsideMethod: true,
+    allowUndeclaredExports: true,
+    errorRecovery: true,
+    plugins: getParserPlugins(filePath),
+  })
+}
+
+// ─── Tree Helpers ───────────────────────────────────────────────────────────────
+
+const SKIP_KEYS = new Set(["loc", "start", "end", "extra", "leadingComments", "trailingComments", "innerComments"])
+
+/**
+ * Depth-first walk over every node in the tree
+ */
+function walk(node, visit) {
+  if (!node || typeof node.type !== "string") return
+  visit(node)
+
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue
+    const child = node[key]
+    if (Array.isArray(child)) {
+      for (const item of child) walk(item, visit)
+    } else if (child && typeof child.type === "string") {
+      walk(child, visit)
+    }
+  }
+}
+
+/**
+ * Strip TypeScript / Flow wrappers that don't change the runtime value
+ */
+function unwrap(node) {
+  while (
+    node &&
+    (node.type === "TSAsExpression" ||
+      node.type === "TSSatisfiesExpression" ||
+      node.type === "TSNonNullExpression" ||
+      node.type === "TSTypeAssertion" ||
+      node.type === "TypeCastExpression" ||
+      node.type === "ParenthesizedExpression")
+  ) {
+    node = node.expression
+  }
+  return node
+}
+
+function isMember(node) {
+  return node && (node.type === "MemberExpression" || node.type === "OptionalMemberExpression")
+}
+
+/**
+ * Static name of a member property — `a.B`, `a["B"]`, `a[`B`]`
+ */
+function getPropertyName(member) {
+  const prop = member.property
+  if (!member.computed) return prop.type === "Identifier" ? prop.name : null
+  if (prop.type === "StringLiteral") return prop.value
+  if (prop.type === "TemplateLiteral" && prop.expressions.length === 0) {
+    return prop.quasis[0].value.cooked
+  }
+  return null
+}
+
+/**
+ * Static name of an object pattern key — `{ B }`, `{ "B": b }`
+ */
+function getPatternKeyName(property) {
+  if (property.computed) {
+    return property.key.type === "StringLiteral" ? property.key.value : null
+  }
+  if (property.key.type === "Identifier") return property.key.name
+  if (property.key.type === "StringLiteral") return property.key.value
+  return null
+}
+
+/**
+ * Literal fallback value as a string — `"info"`, `3000`, `true`, `-1`
+ */
+function getLiteralValue(node) {
+  node = unwrap(node)
+  if (!node) return undefined
+  if (node.type === "StringLiteral") return node.value
+  if (node.type === "NumericLiteral") return String(node.value)
+  if (node.type === "BooleanLiteral") return String(node.value)
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked
+  }
+  if (node.type === "UnaryExpression" && node.operator === "-" && node.argument.type === "NumericLiteral") {
+    return "-" + node.argument.value
+  }
+  return undefined
+}
+
+// ─── Env Reference Extraction ───────────────────────────────────────────────────
+
+/**
+ * Parse a JS/TS file and return every env var it reads.
+ * Understands:
+ * - process.env.X, process.env["X"], process?.env?.X
+ * - import.meta.env.X
+ * - const { X, Y = 1, Z: z, ...rest } = process.env
+ * - const { env } = process / const { env: { X } } = process
+ * - const env = process.env; env.X / const { X } = env
+ * - import { env } from "node:process"
+ *
+ * Literal fallbacks (`process.env.X || 3000`, `?? "info"`, `{ X = 3000 }`)
+ * are returned as defaultValue.
+ *
+ * Returns an array of { name, line, column, defaultValue }, or null if the file can't be parsed.
+ */
+function extractJsEnvRefs(content, filePath) {
+  let ast
+  try {
+    ast = parseSource(content, filePath)
+  } catch {
+    return null
+  }
+
+  const envAliases = new Set() // identifiers bound to process.env
+  const processAliases = new Set(["process"]) // identifiers bound to process
+
+  const isProcess = node => {
+    node = unwrap(node)
+    return !!node && node.type === "Identifier" && processAliases.has(node.name)
+  }
+
+  const isEnvObject = node => {
+    node = unwrap(node)
+    if (!node) return false
+    if (node.type === "Identifier") return envAliases.has(node.name)
+    if (!isMember(node) || getPropertyName(node) !== "env") return false
+
+    const object = unwrap(node.object)
+    if (object.type === "MetaProperty") {
+      return object.meta.name === "import" && object.property.name === "meta"
+    }
+    return isProcess(object)
+  }
+
+  // Alias collection — repeat until stable so aliases of aliases resolve
+  // regardless of declaration order
+  const collectAliases = () => {
+    let changed = false
+    const addAlias = (set, name) => {
+      if (!set.has(name)) {
+        set.add(name)
+        changed = true
+      }
+    }
+
+    const fromPattern = (pattern, source) => {
+      if (!pattern || pattern.type !== "ObjectPattern") return
+      for (const prop of pattern.properties) {
+        if (prop.type === "RestElement") {
+          if (source === "env" && prop.argument.type === "Identifier") {
+            addAlias(envAliases, prop.argument.name)
+          }
+          continue
+        }
+        if (source !== "process" || getPatternKeyName(prop) !== "env") continue
+
+        let target = prop.value
+        if (target.type === "AssignmentPattern") target = target.left
+        if (target.type === "Identifier") addAlias(envAliases, target.name)
+        if (target.type === "ObjectPattern") fromPattern(target, "env")
+      }
+    }
+
+    const bind = (id, init) => {
+      if (!id || !init) return
+      if (id.type === "Identifier") {
+        if (isEnvObject(init)) addAlias(envAliases, id.name)
+        else if (isProcess(init)) addAlias(processAliases, id.name)
+      } else if (id.type === "ObjectPattern") {
+        if (isEnvObject(init)) fromPattern(id, "env")
+        else if (isProcess(init)) fromPattern(id, "process")
+      }
+    }
+
+    walk(ast, node => {
+      if (node.type === "VariableDeclarator") bind(node.id, node.init)
+      else if (node.type === "AssignmentExpression" && node.operator === "=") bind(node.left, node.right)
+      else if (node.type === "AssignmentPattern") bind(node.left, node.right)
+      else if (
+        node.type === "ImportDeclaration" &&
+        (node.source.value === "process" || node.source.value === "node:process")
+      ) {
+        for (const spec of node.specifiers) {
+          if (spec.type === "ImportSpecifier") {
+            const imported = spec.imported.name || spec.imported.value
+            if (imported === "env") addAlias(envAliases, spec.local.name)
+          } else {
+            addAlias(processAliases, spec.local.name)
+          }
+        }
+      }
+    })
+
+    return changed
+  }
+
+  while (collectAliases()) {
+    // keep going until no new aliases appear
+  }
+
+  // Reference collection
+  const refs = []
+  const fallbacks = new Map() // env member node → literal fallback
+  const addRef = (name, node, defaultValue) => {
+    if (!name) return
+    const start = node.loc ? node.loc.start : {line: 0, column: 0}
+    refs.push({name, line: start.line, column: start.column + 1, defaultValue})
+  }
+
+  const fromEnvPattern = pattern => {
+    for (const prop of pattern.properties) {
+      if (prop.type === "RestElement") continue
+      const defaultValue = prop.value.type === "AssignmentPattern"
+        ? getLiteralValue(prop.value.right)
+        : undefined
+      addRef(getPatternKeyName(prop), prop, defaultValue)
+    }
+  }
+
+  const fromProcessPattern = pattern => {
+    for (const prop of pattern.properties) {
+      if (prop.type === "RestElement" || getPatternKeyName(prop) !== "env") continue
+      let target = prop.value
+      if (target.type === "AssignmentPattern") target = target.left
+      if (target.type === "ObjectPattern") fromEnvPattern(target)
+    }
+  }
+
+  const bindPattern = (id, init) => {
+    if (!id || !init || id.type !== "ObjectPattern") return
+    if (isEnvObject(init)) fromEnvPattern(id)
+    else if (isProcess(init)) fromProcessPattern(id)
+  }
+
+  // Parents are visited before children, so a fallback is known by the time
+  // the member expression on its left is reached
+  walk(ast, node => {
+    if (node.type === "LogicalExpression" && (node.operator === "||" || node.operator === "??")) {
+      const left = unwrap(node.left)
+      if (isMember(left) && isEnvObject(left.object)) {
+        const value = getLiteralValue(node.right)
+        if (value !== undefined) fallbacks.set(left, value)
+      }
+    } else if (isMember(node) && isEnvObject(node.object)) {
+      addRef(getPropertyName(node), node, fallbacks.get(node))
+    } else if (node.type === "VariableDeclarator") {
+      bindPattern(node.id, node.init)
+    } else if (node.type === "AssignmentExpression" && node.operator === "=") {
+      bindPattern(node.left, node.right)
+    } else if (node.type === "AssignmentPattern") {
+      bindPattern(node.left, node.right)
+    }
+  })
+
+  return refs
+}
+
+function isJsFile(filePath) {
+  const match = /\.[^./\\]+$/.exec(filePath)
+  return !!match && JS_EXTENSIONS.has(match[0].toLowerCase())
+}
+
+module.exports = {
+  extractJsEnvRefs,
+  isJsFile,
+  // Tree helpers shared with schema.js
+  parseSource,
+  walk,
+  unwrap,
+  getPropertyName,
+  getPatternKeyName,
+  getLiteralValue,
+}
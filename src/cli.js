@@ -0,0 +1,128 @@
+"use strict"
+
+// ─── Command Line ───────────────────────────────────────────────────────────────
+// Argument parsing and help text. Commands are implemented in index.js.
+
+const OPTIONS = [
+  {name: "help", alias: "h", description: "Show this help"},
+  {name: "version", alias: "v", description: "Print the version"},
+  {name: "cwd", value: "dir", description: "Run as if started in <dir>"},
+  {name: "folder", value: "path", description: "Project folder to work in, or the end of its path (api for apps/api) — skips the folder picker"},
+  {name: "file", alias: "f", value: "path", description: "Env file to read or write — skips the target file picker"},
+  {name: "mode", value: "mode", choices: ["missing", "required", "all", "bulk"], description: "What to fill: missing, required, all or bulk — skips the mode picker"},
+  {name: "deep", description: "Scan source code, not just env files"},
+  {name: "no-cache", description: "Re-read every file instead of reusing the scan cache"},
+  {name: "yes", alias: "y", description: "Accept the default answer of every confirmation"},
+  {name: "format", value: "fmt", description: "Output format (export; check: text, json, junit, sarif)"},
+  {name: "output", alias: "o", value: "path", description: "Write output to a file, - for stdout (export, check, encrypt, decrypt)"},
+  {name: "example", description: "Check against .env.example instead of the env file (check)"},
+  {name: "masked", description: "Hide values (list, diff)"},
+  {name: "values", description: "Compare values by fingerprint, never print them — fingerprints only match within one run (diff)"},
+  {name: "env", description: "Count variables set in the process environment (check)"},
+  {name: "ignore-optional", description: "Only fail on missing required variables (check)"},
+  {name: "name", value: "name", description: "Resource name (export --format k8s)"},
+  {name: "namespace", value: "ns", description: "Namespace (export --format k8s)"},
+]
+
+const COMMANDS = [
+  {name: "fill", usage: "[fill]", description: "Scan, pick a file and fill in values interactively (default)"},
+  {name: "scan", usage: "scan", description: "Show which variables are set and which are missing"},
+  {name: "watch", usage: "watch", description: "Re-scan files as they are saved and offer to set new variables"},
+  {name: "check", usage: "check [--format <fmt>]", description: "Exit non-zero when code uses variables that aren't set — for CI"},
+  {name: "get", usage: "get KEY", description: "Print the value of a variable"},
+  {name: "set", usage: "set KEY=VALUE", description: "Set a variable — `set KEY` reads the value from stdin"},
+  {name: "unset", usage: "unset KEY", description: "Remove a variable"},
+  {name: "list", usage: "list [--masked]", description: "Print every KEY=value of the env file"},
+  {name: "diff", usage: "diff <a> [b]", description: "Show keys added, removed or changed between env files or folders"},
+  {name: "import", usage: "import <file|->", description: "Import values from JSON, YAML, docker-compose, Kubernetes, …"},
+  {name: "export", usage: "export [file] --format <fmt>", description: "Print an env file as JSON, YAML, shell, Docker, k8s or systemd"},
+  {name: "encrypt", usage: "encrypt [file]", description: "Write an encrypted copy (<file>.enc)"},
+  {name: "decrypt", usage: "decrypt [file.enc]", description: "Write the plaintext of an encrypted file"},
+  {name: "history", usage: "history [file]", description: "List saved versions of env files"},
+  {name: "undo", usage: "undo [file]", description: "Restore a saved version"},
+]
+
+const DEFAULT_COMMAND = "fill"
+
+function findOption(token) {
+  if (token.startsWith("--")) return OPTIONS.find(o => o.name === token.substring(2))
+  return OPTIONS.find(o => o.alias && o.alias === token.substring(1))
+}
+
+/**
+ * Parse argv (without node and the script path).
+ * Returns { command, args: positionals after the command, options: { name → value } }.
+ * Throws on unknown commands and options or a missing option value.
+ */
+function parseArgs(argv) {
+  const options = {}
+  const positionals = []
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i]
+
+    // `--` ends option parsing; a lone `-` means stdin
+    if (token === "--") {
+      positionals.push(...argv.slice(i + 1))
+      break
+    }
+    if (token === "-" || !token.startsWith("-")) {
+      positionals.push(token)
+      continue
+    }
+
+    const eqIndex = token.indexOf("=")
+    const flag = eqIndex > -1 ? token.substring(0, eqIndex) : token
+    const option = findOption(flag)
+    if (!option) throw new Error(`Unknown option ${flag}`)
+
+    if (!option.value) {
+      if (eqIndex > -1) throw new Error(`${flag} doesn't take a value`)
+      options[option.name] = true
+      continue
+    }
+
+    let value
+    if (eqIndex > -1) {
+      value = token.substring(eqIndex + 1)
+    } else {
+      value = argv[i + 1]
+      i++
+    }
+    if (value === undefined || value === "") throw new Error(`${flag} needs a value (--${option.name} <${option.value}>)`)
+    if (option.choices && !option.choices.includes(value)) {
+      throw new Error(`--${option.name} must be one of: ${option.choices.join(", ")}`)
+    }
+    options[option.name] = value
+  }
+
+  let command = DEFAULT_COMMAND
+  if (positionals.length > 0 && COMMANDS.some(cmd => cmd.name === positionals[0])) {
+    command = positionals.shift()
+  } else if (positionals.length > 0) {
+    throw new Error(`Unknown command "${positionals[0]}"`)
+  }
+
+  return {command, args: positionals, options}
+}
+
+function formatHelp(version) {
+  const commandWidth = Math.max(...COMMANDS.map(cmd => cmd.usage.length)) + 2
+  const optionLabel = o => `${o.alias ? `-${o.alias}, ` : "    "}--${o.name}${o.value ? ` <${o.value}>` : ""}`
+  const optionWidth = Math.max(...OPTIONS.map(o => optionLabel(o).length)) + 2
+
+  return [
+    `envsetter ${version}`,
+    "",
+    "Usage: envsetter [command] [options]",
+    "",
+    "Commands:",
+    ...COMMANDS.map(cmd => `  ${cmd.usage.padEnd(commandWidth)}${cmd.description}`),
+    "",
+    "Options:",
+    ...OPTIONS.map(o => `  ${optionLabel(o).padEnd(optionWidth)}${o.description}`),
+    "",
+  ].join("\n")
+}
+
+module.exports = {parseArgs, formatHelp}
@@ -0,0 +1,199 @@
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const {findRepoRoot} = require("./ignore")
+
+// Looked up from the working directory up to the repo root, first match wins
+const CONFIG_FILES = [".envsetterrc", ".envsetterrc.json"]
+
+/**
+ * Example .envsetterrc:
+ * {
+ *   "patterns": ["config\\.get\\(['\"]([A-Z][A-Z0-9_]+)['\"]"],
+ *   "blacklist": ["SOME_RUNTIME_VAR"],            // or { "add": [], "remove": [], "replace": [] }
+ *   "extensions": ["graphql"],
+ *   "envFiles": [".env.test"],
+ *   "targets": { "default": ".env.local", "apps/api": ".env" },
+ *   "hints": [{ "pattern": "^FEATURE_", "type": "Flag", "hint": "true / false" }],
+ *   "categories": [{ "pattern": "^PAYMENTS_", "name": "Payments" }],
+ *   "required": ["DATABASE_URL"],
+ *   "optional": ["SENTRY_DSN"],
+ *   "layering": "vite",                            // or "next"
+ *   "mode": "development"
+ * }
+ */
+
+function emptyConfig() {
+  return {
+    source: null, // absolute path of the file the config came from
+    dir: null, // folder targets are relative to
+    patterns: [],
+    blacklist: {add: new Set(), remove: new Set(), replace: null},
+    extensions: [],
+    envFiles: [],
+    targets: {},
+    hints: [],
+    categories: [],
+    required: [],
+    optional: [],
+    layering: null,
+    mode: null,
+  }
+}
+
+let current = emptyConfig()
+
+function configError(source, message) {
+  return new Error(`Invalid envsetter config in ${source}: ${message}`)
+}
+
+function stringList(value, field, source) {
+  if (value === undefined) return []
+  if (!Array.isArray(value) || value.some(v => typeof v !== "string")) {
+    throw configError(source, `"${field}" must be an array of strings`)
+  }
+  return value
+}
+
+function compileRegex(pattern, field, source, flags = "") {
+  try {
+    return new RegExp(pattern, flags)
+  } catch (err) {
+    throw configError(source, `"${field}" has an invalid pattern ${JSON.stringify(pattern)} (${err.message})`)
+  }
+}
+
+/**
+ * Validate raw JSON and turn it into the shape the other modules read
+ */
+function normalizeConfig(raw, source) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw configError(source, "expected a JSON object")
+  }
+
+  const config = emptyConfig()
+  config.source = source
+  config.dir = path.dirname(source)
+
+  config.patterns = stringList(raw.patterns, "patterns", source).map(p => {
+    const regex = compileRegex(p, "patterns", source, "g")
+    if (new RegExp(p + "|").exec("").length < 2) {
+      throw configError(source, `pattern ${JSON.stringify(p)} needs a capture group for the variable name`)
+    }
+    return regex
+  })
+
+  if (Array.isArray(raw.blacklist)) {
+    config.blacklist.add = new Set(stringList(raw.blacklist, "blacklist", source))
+  } else if (raw.blacklist && typeof raw.blacklist === "object") {
+    config.blacklist.add = new Set(stringList(raw.blacklist.add, "blacklist.add", source))
+    config.blacklist.remove = new Set(stringList(raw.blacklist.remove, "blacklist.remove", source))
+    if (raw.blacklist.replace !== undefined) {
+      config.blacklist.replace = new Set(stringList(raw.blacklist.replace, "blacklist.replace", source))
+    }
+  } else if (raw.blacklist !== undefined) {
+    throw configError(source, `"blacklist" must be an array or an object`)
+  }
+
+  config.extensions = stringList(raw.extensions, "extensions", source).map(e => e.replace(/^\./, ""))
+  config.envFiles = stringList(raw.envFiles, "envFiles", source)
+
+  if (raw.targets !== undefined) {
+    const valid = raw.targets && typeof raw.targets === "object" && !Array.isArray(raw.targets) &&
+      Object.values(raw.targets).every(v => typeof v === "string")
+    if (!valid) throw configError(source, `"targets" must map folder paths to env file names`)
+    config.targets = {...raw.targets}
+  }
+
+  const rules = (list, field, valueKeys) => {
+    if (list === undefined) return []
+    if (!Array.isArray(list)) throw configError(source, `"${field}" must be an array`)
+    return list.map(rule => {
+      if (!rule || typeof rule.pattern !== "string" || valueKeys.some(k => typeof rule[k] !== "string")) {
+        throw configError(source, `each "${field}" entry needs "pattern" and ${valueKeys.map(k => `"${k}"`).join(", ")}`)
+      }
+      const compiled = {test: compileRegex(rule.pattern, field, source, "i")}
+      for (const k of valueKeys) compiled[k] = rule[k]
+      return compiled
+    })
+  }
+
+  config.hints = rules(raw.hints, "hints", ["type", "hint"])
+  config.categories = rules(raw.categories, "categories", ["name"])
+  config.required = stringList(raw.required, "required", source)
+  config.optional = stringList(raw.optional, "optional", source)
+
+  if (raw.layering !== undefined && raw.layering !== "next" && raw.layering !== "vite") {
+    throw configError(source, `"layering" must be "next" or "vite"`)
+  }
+  config.layering = raw.layering || null
+
+  if (raw.mode !== undefined && (typeof raw.mode !== "string" || !/^[A-Za-z0-9_-]+$/.test(raw.mode))) {
+    throw configError(source, `"mode" must be a mode name such as "development"`)
+  }
+  config.mode = raw.mode || null
+
+  return config
+}
+
+/**
+ * Find the nearest config between `cwd` and the repo root
+ * Returns { source, raw } or null
+ */
+function findConfig(cwd) {
+  const root = findRepoRoot(cwd)
+  let dir = path.resolve(cwd)
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const file = path.join(dir, name)
+      if (!fs.existsSync(file)) continue
+      try {
+        return {source: file, raw: JSON.parse(fs.readFileSync(file, "utf-8"))}
+      } catch (err) {
+        throw configError(file, err.message)
+      }
+    }
+
+    const pkgPath = path.join(dir, "package.json")
+    if (fs.existsSync(pkgPath)) {
+      let pkg = null
+      try {
+        pkg = JSON.parse(fs.readFileSync(pkgPath, "utf-8"))
+      } catch {
+        // unreadable package.json — not our problem here
+      }
+      if (pkg && pkg.envsetter !== undefined) return {source: pkgPath, raw: pkg.envsetter}
+    }
+
+    const parent = path.dirname(dir)
+    if (dir === root || parent === dir) return null
+    dir = parent
+  }
+}
+
+/**
+ * Load the project config for `cwd` and make it the active config.
+ * Every module reads the result through getConfig().
+ */
+function loadConfig(cwd) {
+  const found = findConfig(cwd)
+  current = found ? normalizeConfig(found.raw, found.source) : emptyConfig()
+  return current
+}
+
+function getConfig() {
+  return current
+}
+
+/**
+ * Configured default env file for a folder, or null
+ */
+function getDefaultTarget(folderPath) {
+  const {targets, dir} = current
+  const rel = dir ? path.relative(dir, path.resolve(folderPath)).replace(/\\/g, "/") || "." : "."
+  return targets[rel] || targets.default || null
+}
+
+module.exports = {loadConfig, getConfig, getDefaultTarget}
@@ -0,0 +1,178 @@
+"use strict"
+
+// ─── dotenv Parser ──────────────────────────────────────────────────────────────
+//
+// Follows the dotenv rules:
+// - `KEY=value`, `export KEY=value` and `KEY: value`
+// - unquoted values are trimmed and end at an inline ` # comment`
+// - 'single' and `backtick` quoted values are literal
+// - "double" quoted values expand \n, \r, \t, \\, \" and \$
+// - any quoted value may span multiple lines (PEM keys, certificates)
+// - a later definition of the same key wins
+
+const ENTRY_LINE = /^(\s*)(export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)(\s*=\s*|\s*:\s+)(.*)$/
+const QUOTES = new Set(['"', "'", "`"])
+
+function unescapeDoubleQuoted(raw) {
+  return raw.replace(/\\([nrt"\\$])/g, (_, ch) => {
+    if (ch === "n") return "\n"
+    if (ch === "r") return "\r"
+    if (ch === "t") return "\t"
+    return ch
+  })
+}
+
+/**
+ * Find the closing quote in `text` starting at `from`.
+ * Only double quotes honor backslash escapes.
+ */
+function findClosingQuote(text, quote, from) {
+  for (let i = from; i < text.length; i++) {
+    if (quote === '"' && text[i] === "\\") {
+      i++
+      continue
+    }
+    if (text[i] === quote) return i
+  }
+  return -1
+}
+
+/**
+ * Split an unquoted value from an inline comment — `#` only starts a comment
+ * at the beginning of the value or after whitespace, so `URL=http://x/#a` stays intact.
+ * `trailing` is the raw text after the value (spacing + comment).
+ */
+function splitInlineComment(rest) {
+  const match = /(^|\s)#/.exec(rest)
+  const hashIndex = match ? match.index + match[1].length : rest.length
+  const value = rest.substring(0, hashIndex).trim()
+  return {
+    value,
+    comment: match ? rest.substring(hashIndex + 1).trim() : null,
+    trailing: rest.substring(value.length),
+  }
+}
+
+/**
+ * Parse env file content into a document that keeps every line.
+ * Returns {
+ *   nodes: [
+ *     { type: "entry", key, value, quote, exported, comment, head, trailing, startLine, endLine },
+ *     { type: "comment" | "blank" | "invalid", startLine, endLine },
+ *   ],
+ *   errors: [{ line, message }],
+ *   lines: the source lines (CRLF normalized),
+ * }
+ * Line numbers are 1-based; a multiline entry covers startLine..endLine.
+ * `head` is the raw text up to the value (indent, `export `, key, separator) and
+ * `trailing` the raw text after it, so a writer can replace just the value.
+ */
+function parseEnvDocument(content) {
+  const text = content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n")
+  const lines = text.split("\n")
+  const nodes = []
+  const errors = []
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+    const lineNo = i + 1
+    const trimmed = line.trim()
+
+    if (!trimmed) {
+      nodes.push({type: "blank", startLine: lineNo, endLine: lineNo})
+      continue
+    }
+    if (trimmed.startsWith("#")) {
+      nodes.push({type: "comment", startLine: lineNo, endLine: lineNo})
+      continue
+    }
+
+    const match = ENTRY_LINE.exec(line)
+    if (!match) {
+      const message = /^(export\s+)?[A-Za-z_][A-Za-z0-9_.-]*$/.test(trimmed)
+        ? `Missing "=" after ${trimmed.replace(/^export\s+/, "")}`
+        : `Invalid line: ${trimmed.length > 40 ? trimmed.substring(0, 37) + "..." : trimmed}`
+      errors.push({line: lineNo, message})
+      nodes.push({type: "invalid", startLine: lineNo, endLine: lineNo})
+      continue
+    }
+
+    const [, indent, exportPrefix, key, separator, rest] = match
+    const entry = {
+      type: "entry",
+      key,
+      value: "",
+      quote: "",
+      exported: !!exportPrefix,
+      comment: null,
+      head: indent + (exportPrefix || "") + key + separator,
+      trailing: "",
+      startLine: lineNo,
+      endLine: lineNo,
+    }
+
+    const quote = rest[0]
+    if (!QUOTES.has(quote)) {
+      const {value, comment, trailing} = splitInlineComment(rest)
+      entry.value = value
+      entry.comment = comment
+      entry.trailing = trailing
+      nodes.push(entry)
+      continue
+    }
+
+    // Quoted value — may continue on following lines
+    let body = rest.substring(1)
+    let endLine = i
+    let closeIndex = findClosingQuote(body, quote, 0)
+    while (closeIndex === -1 && endLine + 1 < lines.length) {
+      endLine += 1
+      const searchFrom = body.length + 1
+      body += "\n" + lines[endLine]
+      closeIndex = findClosingQuote(body, quote, searchFrom)
+    }
+
+    if (closeIndex === -1) {
+      const kind = quote === '"' ? "double" : quote === "'" ? "single" : "backtick"
+      errors.push({line: lineNo, message: `Unterminated ${kind}-quoted value for ${key}`})
+      nodes.push({type: "invalid", startLine: lineNo, endLine: lineNo})
+      continue
+    }
+
+    const raw = body.substring(0, closeIndex)
+    const trailing = body.substring(closeIndex + 1)
+    const after = trailing.trim()
+    if (after && !after.startsWith("#")) {
+      errors.push({line: endLine + 1, message: `Unexpected text after closing quote of ${key}: ${after}`})
+    }
+
+    entry.value = quote === '"' ? unescapeDoubleQuoted(raw) : raw
+    entry.quote = quote
+    entry.comment = after.startsWith("#") ? after.substring(1).trim() : null
+    entry.trailing = trailing
+    entry.endLine = endLine + 1
+    nodes.push(entry)
+    i = endLine
+  }
+
+  // A trailing newline leaves one empty string behind — not a real line
+  if (lines.length > 0 && lines[lines.length - 1] === "" && nodes.length > 0) {
+    const last = nodes[nodes.length - 1]
+    if (last.type === "blank" && last.startLine === lines.length) nodes.pop()
+  }
+
+  return {nodes, errors, lines}
+}
+
+/**
+ * Parse env file content into a Map of key → value
+ */
+function parseEnvContent(content) {
+  const values = new Map()
+  for (const node of parseEnvDocument(content).nodes) {
+    if (node.type === "entry") values.set(node.key, node.value)
+  }
+  return values
+}
+
+module.exports = {parseEnvDocument, parseEnvContent}
@@ -0,0 +1,429 @@
+"use strict"
+
+const {isSensitiveKey} = require("./hints")
+const {parseEnvDocument} = require("./dotenv")
+const {isBlacklisted} = require("./scanner")
+
+// ─── Export Formats ─────────────────────────────────────────────────────────────
+// Each formatter takes the env Map plus options and returns
+// { output, warnings: [message] } — keys a format can't express are left out with a warning
+
+/**
+ * Turn a folder or file name into a valid Kubernetes resource name
+ */
+function toResourceName(name) {
+  const cleaned = String(name || "").toLowerCase().replace(/[^a-z0-9-]+/g, "-").replace(/^-+|-+$/g, "")
+  return (cleaned || "app").substring(0, 63).replace(/-+$/, "")
+}
+
+// DNS-1123 label — the names Kubernetes accepts for a namespace
+const NAMESPACE = /^[a-z0-9]([-a-z0-9]{0,61}[a-z0-9])?$/
+
+// JSON strings are valid YAML double-quoted scalars — quoting everything
+// avoids `yes`, `0123` or `null` turning into something else
+function yamlString(value) {
+  return JSON.stringify(value)
+}
+
+function toJson(env) {
+  return {output: JSON.stringify(Object.fromEntries(env), null, 2) + "\n", warnings: []}
+}
+
+function toYaml(env) {
+  const lines = [...env].map(([key, value]) => `${key}: ${yamlString(value)}`)
+  return {output: lines.join("\n") + "\n", warnings: []}
+}
+
+function toShell(env) {
+  const lines = [...env].map(([key, value]) => `export ${key}='${value.replace(/'/g, "'\\''")}'`)
+  return {output: lines.join("\n") + "\n", warnings: []}
+}
+
+/**
+ * Formats with one value per line and no way to continue it — multiline values are skipped
+ */
+function singleLine(env, render, label) {
+  const lines = []
+  const warnings = []
+  for (const [key, value] of env) {
+    if (/[\r\n]/.test(value)) {
+      warnings.push(`${key} skipped — ${label} can't hold multiline values`)
+      continue
+    }
+    lines.push(render(key, value))
+  }
+  return {output: lines.join("\n") + "\n", warnings}
+}
+
+// docker run --env-file takes everything after `=` literally, quotes included
+function toDocker(env) {
+  return singleLine(env, (key, value) => `${key}=${value}`, "Docker env files")
+}
+
+// systemd EnvironmentFile — double quotes with \ and " escaped
+function toSystemd(env) {
+  return singleLine(env, (key, value) => `${key}="${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`, "systemd EnvironmentFile")
+}
+
+function manifest(kind, name, namespace, dataKey, entries) {
+  const lines = [
+    "apiVersion: v1",
+    `kind: ${kind}`,
+    "metadata:",
+    `  name: ${name}`,
+  ]
+  if (namespace) lines.push(`  namespace: ${namespace}`)
+  if (kind === "Secret") lines.push("type: Opaque")
+
+  if (entries.length === 0) {
+    lines.push(`${dataKey}: {}`)
+  } else {
+    lines.push(`${dataKey}:`)
+    for (const [key, value] of entries) lines.push(`  ${key}: ${value}`)
+  }
+  return lines.join("\n") + "\n"
+}
+
+const base64 = value => Buffer.from(value, "utf-8").toString("base64")
+
+/**
+ * Kubernetes manifests — sensitive keys (isSensitiveKey) go into a Secret with
+ * base64 `data`, the rest into a ConfigMap. `split: false` puts everything in the Secret.
+ * The name is made valid with toResourceName; an invalid namespace throws.
+ */
+function toKubernetes(env, options = {}) {
+  if (options.namespace && !NAMESPACE.test(options.namespace)) {
+    throw new Error(`Invalid namespace "${options.namespace}" — use at most 63 lowercase letters, digits and "-", starting and ending with a letter or digit`)
+  }
+  const name = toResourceName(options.name)
+  const all = [...env]
+  const secret = options.split === false ? all : all.filter(([key]) => isSensitiveKey(key))
+  const config = options.split === false ? [] : all.filter(([key]) => !isSensitiveKey(key))
+
+  const docs = []
+  if (secret.length > 0 || config.length === 0) {
+    docs.push(manifest("Secret", name, options.namespace, "data", secret.map(([key, value]) => [key, base64(value)])))
+  }
+  if (config.length > 0) {
+    docs.push(manifest("ConfigMap", `${name}-config`, options.namespace, "data", config.map(([key, value]) => [key, yamlString(value)])))
+  }
+  return {output: docs.join("---\n"), warnings: []}
+}
+
+const EXPORT_FORMATS = {
+  json: toJson,
+  yaml: toYaml,
+  shell: toShell,
+  docker: toDocker,
+  k8s: toKubernetes,
+  "k8s-secret": (env, options) => toKubernetes(env, {...options, split: false}),
+  systemd: toSystemd,
+}
+
+/**
+ * Render an env Map in one of EXPORT_FORMATS.
+ * options: { name, namespace } for the Kubernetes formats
+ */
+function exportEnv(env, format, options = {}) {
+  const formatter = EXPORT_FORMATS[format]
+  if (!formatter) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`)
+  }
+  return formatter(env, options)
+}
+
+// ─── Import Formats ─────────────────────────────────────────────────────────────
+
+const ENV_KEY = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * Unquote a YAML scalar — 'single' ('' escapes a quote), "double" (JSON-style
+ * escapes) or plain with an optional trailing ` # comment`
+ */
+function yamlScalar(raw) {
+  const text = raw.trim()
+  if (text.startsWith("'")) {
+    const end = text.lastIndexOf("'")
+    return text.substring(1, end > 0 ? end : text.length).replace(/''/g, "'")
+  }
+  if (text.startsWith('"')) {
+    const end = text.lastIndexOf('"')
+    const body = text.substring(1, end > 0 ? end : text.length)
+    try {
+      return JSON.parse(`"${body.replace(/\t/g, "\\t")}"`)
+    } catch {
+      return body
+    }
+  }
+  const hash = /(^|\s)#/.exec(text)
+  const plain = hash ? text.substring(0, hash.index).trim() : text
+  return plain === "~" || plain === "null" ? "" : plain
+}
+
+/**
+ * Read the small YAML subset env values come in: nested maps by indentation,
+ * `- item` lists, quoted and plain scalars and `|` / `>` block scalars.
+ * Anchors, flow collections and multi-line plain scalars aren't supported.
+ * Returns the parsed value, or throws on lines it can't place.
+ */
+function parseSimpleYaml(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n")
+  let index = 0
+
+  const indentOf = line => line.length - line.trimStart().length
+  const isContent = line => line.trim() !== "" && !line.trim().startsWith("#")
+  const skipBlank = () => {
+    while (index < lines.length && !isContent(lines[index])) index++
+  }
+
+  // `|` keeps newlines, `>` folds them into spaces
+  const readBlockScalar = (style, parentIndent) => {
+    const body = []
+    let blockIndent = null
+    while (index < lines.length) {
+      const line = lines[index]
+      if (line.trim() !== "") {
+        const indent = indentOf(line)
+        if (indent <= parentIndent) break
+        if (blockIndent === null) blockIndent = indent
+      }
+      body.push(line.substring(blockIndent || 0))
+      index++
+    }
+    while (body.length > 0 && body[body.length - 1].trim() === "") body.pop()
+    const keep = style.includes("-") ? "" : "\n"
+    return (style.startsWith(">") ? body.join(" ") : body.join("\n")) + keep
+  }
+
+  const readValue = (rest, parentIndent) => {
+    if (/^[|>][+-]?$/.test(rest)) return readBlockScalar(rest, parentIndent)
+    if (rest !== "" && !rest.startsWith("#")) return yamlScalar(rest)
+    skipBlank()
+    if (index >= lines.length || indentOf(lines[index]) <= parentIndent) {
+      // `key:` followed by nothing deeper — empty, or a list at the same indent
+      if (index < lines.length && indentOf(lines[index]) === parentIndent && lines[index].trim().startsWith("- ")) {
+        return readNode(parentIndent)
+      }
+      return ""
+    }
+    return readNode(indentOf(lines[index]))
+  }
+
+  const readNode = indent => {
+    skipBlank()
+    const isList = index < lines.length && /^-(\s|$)/.test(lines[index].trim())
+    const node = isList ? [] : {}
+
+    while (index < lines.length) {
+      skipBlank()
+      if (index >= lines.length) break
+      const line = lines[index]
+      const lineIndent = indentOf(line)
+      if (lineIndent < indent || line.trim() === "---") break
+      if (lineIndent > indent) throw new Error(`Unexpected indentation on line ${index + 1}`)
+
+      const trimmed = line.trim()
+      if (isList) {
+        if (!/^-(\s|$)/.test(trimmed)) break
+        index++
+        node.push(readValue(trimmed.substring(1).trim(), indent))
+        continue
+      }
+
+      const match = /^("[^"]*"|'[^']*'|[^:#]+?)\s*:(?:\s+(.*)|$)/.exec(trimmed)
+      if (!match) throw new Error(`Expected "key: value" on line ${index + 1}`)
+      index++
+      node[yamlScalar(match[1])] = readValue((match[2] || "").trim(), indent)
+    }
+    return node
+  }
+
+  const docs = []
+  while (index < lines.length) {
+    skipBlank()
+    if (index >= lines.length) break
+    if (lines[index].trim() === "---") {
+      index++
+      continue
+    }
+    docs.push(readNode(indentOf(lines[index])))
+  }
+  return docs
+}
+
+function stringifyValue(value) {
+  if (value === null || value === undefined) return ""
+  return typeof value === "object" ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * docker-compose `environment:` — a list of `KEY=value` or a map
+ */
+function composeEnvironment(environment, values) {
+  if (Array.isArray(environment)) {
+    for (const item of environment) {
+      const text = stringifyValue(item)
+      const eq = text.indexOf("=")
+      // `- KEY` alone passes the host value through — nothing to import
+      if (eq > 0) values.set(text.substring(0, eq).trim(), text.substring(eq + 1))
+    }
+  } else if (environment && typeof environment === "object") {
+    for (const [key, value] of Object.entries(environment)) values.set(key, stringifyValue(value))
+  }
+}
+
+/**
+ * Pull env values out of a parsed JSON / YAML document.
+ * Returns the format name, or null for a plain key/value map.
+ */
+function valuesFromDocument(doc, values) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return null
+
+  if (doc.kind === "Secret" || doc.kind === "ConfigMap") {
+    for (const [key, value] of Object.entries(doc.data || {})) {
+      values.set(key, doc.kind === "Secret" ? Buffer.from(stringifyValue(value), "base64").toString("utf-8") : stringifyValue(value))
+    }
+    for (const [key, value] of Object.entries(doc.stringData || {})) values.set(key, stringifyValue(value))
+    return doc.kind === "Secret" ? "Kubernetes Secret" : "Kubernetes ConfigMap"
+  }
+
+  if (doc.services && typeof doc.services === "object") {
+    for (const service of Object.values(doc.services)) {
+      if (service && typeof service === "object") composeEnvironment(service.environment, values)
+    }
+    return "docker-compose"
+  }
+
+  // A pasted service or just its `environment:` block
+  if (doc.environment !== undefined) {
+    composeEnvironment(doc.environment, values)
+    return "docker-compose"
+  }
+  const [onlyKey] = Object.keys(doc)
+  if (Object.keys(doc).length === 1 && doc[onlyKey] && doc[onlyKey].environment !== undefined) {
+    composeEnvironment(doc[onlyKey].environment, values)
+    return "docker-compose"
+  }
+
+  // Plain key/value map — nested values are kept as JSON
+  for (const [key, value] of Object.entries(doc)) values.set(key, stringifyValue(value))
+  return null
+}
+
+/**
+ * `heroku config` — a `=== app Config Vars` header, then `KEY:   value`
+ */
+function parseHeroku(text) {
+  const values = new Map()
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^([A-Za-z_][A-Za-z0-9_]*):\s*(.*)$/.exec(line)
+    if (match) values.set(match[1], match[2])
+  }
+  return values
+}
+
+/**
+ * `printenv` / `env` output — raw KEY=value lines, nothing quoted.
+ * Shell housekeeping (PATH, HOME, …) is dropped.
+ */
+function parsePrintenv(text) {
+  const values = new Map()
+  let lastKey = null
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(line)
+    if (match) {
+      lastKey = isBlacklisted(match[1]) ? null : match[1]
+      if (lastKey) values.set(lastKey, match[2])
+    } else if (lastKey && line !== "") {
+      // continuation of a multiline value
+      values.set(lastKey, values.get(lastKey) + "\n" + line)
+    }
+  }
+  return values
+}
+
+// printenv dumps always carry several of these
+const SHELL_VARS = new Set(["PATH", "HOME", "SHELL", "USER", "LOGNAME", "PWD", "OLDPWD", "SHLVL", "TERM", "LANG"])
+const MIN_SHELL_VARS = 3
+
+/**
+ * printenv output has no comments, no `export` and no quoting, and always
+ * carries several shell variables. A dotenv paste may well set USER or LANG,
+ * so one or two of them are not enough — and a quoted value means dotenv.
+ */
+function looksLikePrintenv(text) {
+  const lines = text.split(/\r?\n/)
+  if (lines.some(line => /^\s*(#|export\s)/.test(line))) return false
+  if (lines.some(line => /^[A-Za-z_][A-Za-z0-9_]*=["'`]/.test(line))) return false
+
+  const shellVars = new Set()
+  for (const line of lines) {
+    const match = /^([A-Za-z_][A-Za-z0-9_]*)=/.exec(line)
+    if (match && SHELL_VARS.has(match[1])) shellVars.add(match[1])
+  }
+  return shellVars.size >= MIN_SHELL_VARS
+}
+
+/**
+ * dotenv content — `//` comment lines are tolerated since pastes often come from code
+ */
+function parseDotenv(text) {
+  const cleaned = text.split(/\r?\n/).map(line => (line.trim().startsWith("//") ? "" : line)).join("\n")
+  const {nodes, errors} = parseEnvDocument(cleaned)
+  const values = new Map()
+  for (const node of nodes) {
+    if (node.type === "entry") values.set(node.key, node.value)
+  }
+  return {values, errors}
+}
+
+/**
+ * Detect the format of pasted / imported content and read its values.
+ * Understands dotenv, JSON, YAML, docker-compose `environment:`,
+ * Kubernetes Secret / ConfigMap, `heroku config` and `printenv` output.
+ * Returns { format, values: Map of key→value, errors: [{ line, message }] }
+ */
+function parseImport(text) {
+  const trimmed = text.trim()
+  let values = new Map()
+  let errors = []
+  let format = "dotenv"
+
+  if (/^[{[]/.test(trimmed)) {
+    format = "JSON"
+    try {
+      const doc = JSON.parse(trimmed)
+      format = valuesFromDocument(doc, values) || "JSON"
+    } catch (err) {
+      errors = [{line: 1, message: `Invalid JSON: ${err.message}`}]
+    }
+  } else if (/^===.*Config Vars/m.test(trimmed)) {
+    format = "heroku config"
+    values = parseHeroku(trimmed)
+  } else if (looksLikePrintenv(trimmed)) {
+    format = "printenv"
+    values = parsePrintenv(trimmed)
+  } else {
+    const looksLikeYaml = trimmed.split(/\r?\n/).some(line => /^\s*[^\s=#][^=]*?:(\s|$)/.test(line)) &&
+      !trimmed.split(/\r?\n/).some(line => /^\s*(export\s+)?[A-Za-z_][A-Za-z0-9_.-]*\s*=/.test(line))
+
+    if (looksLikeYaml) {
+      format = "YAML"
+      try {
+        const docs = parseSimpleYaml(trimmed)
+        format = docs.map(doc => valuesFromDocument(doc, values)).find(Boolean) || format
+      } catch (err) {
+        errors = [{line: 1, message: `Invalid YAML: ${err.message}`}]
+      }
+    } else {
+      ({values, errors} = parseDotenv(trimmed))
+    }
+  }
+
+  for (const key of [...values.keys()]) {
+    if (!ENV_KEY.test(key)) values.delete(key)
+  }
+  return {format, values, errors}
+}
+
+module.exports = {exportEnv, parseImport, EXPORT_FORMATS}
@@ -0,0 +1,176 @@
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const {findRepoRoot} = require("./ignore")
+
+// ─── Env File History ───────────────────────────────────────────────────────────
+//
+// Before the first change envsetter makes to a file in a session, the file's
+// current content is copied to .envsetter/history/<file>/<timestamp>.bak at the
+// repo root. A file that did not exist yet gets an empty `.new` marker instead,
+// so undoing its creation deletes it again.
+
+const STATE_DIR = ".envsetter"
+const HISTORY_DIR = path.join(STATE_DIR, "history")
+const MAX_VERSIONS = 20 // per file, oldest are dropped
+
+// Files already backed up during this run
+const backedUp = new Set()
+
+function historyRoot(cwd) {
+  return path.join(findRepoRoot(cwd), HISTORY_DIR)
+}
+
+/**
+ * Folder holding the versions of one file — its repo-relative path, encoded
+ * into a single directory name
+ */
+function versionsDir(fullPath) {
+  const root = findRepoRoot(path.dirname(fullPath))
+  const relPath = path.relative(root, fullPath).replace(/\\/g, "/")
+  return path.join(root, HISTORY_DIR, encodeURIComponent(relPath))
+}
+
+/**
+ * The repo's .envsetter/ folder. Backups and keys hold secrets, so the
+ * whole folder is kept out of git.
+ */
+function ensureStateDir(root) {
+  const stateDir = path.join(root, STATE_DIR)
+  fs.mkdirSync(stateDir, {recursive: true})
+  const gitignorePath = path.join(stateDir, ".gitignore")
+  if (!fs.existsSync(gitignorePath)) {
+    fs.writeFileSync(gitignorePath, "# envsetter backups and keys are secrets\n*\n", "utf-8")
+  }
+  return stateDir
+}
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-")
+}
+
+function parseTimestamp(stamp) {
+  const match = /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(stamp)
+  return match ? new Date(`${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`) : null
+}
+
+/**
+ * Write a file through a temp file + rename, so a crash or Ctrl+C never
+ * leaves it half written. Keeps the permissions of the file it replaces;
+ * new files default to owner-only since they usually hold secrets.
+ */
+function writeFileAtomic(fullPath, content, newFileMode = 0o600) {
+  const dir = path.dirname(fullPath)
+  const tmpPath = path.join(dir, `.${path.basename(fullPath)}.${process.pid}.${Date.now()}.tmp`)
+
+  let mode = newFileMode
+  try {
+    mode = fs.statSync(fullPath).mode & 0o777
+  } catch {
+    // new file
+  }
+
+  let fd = null
+  try {
+    fd = fs.openSync(tmpPath, "w", mode)
+    fs.writeFileSync(fd, content, "utf-8")
+    fs.fsyncSync(fd)
+    fs.closeSync(fd)
+    fd = null
+    fs.renameSync(tmpPath, fullPath)
+  } catch (err) {
+    if (fd !== null) fs.closeSync(fd)
+    try {
+      fs.unlinkSync(tmpPath)
+    } catch {
+      // already gone
+    }
+    throw err
+  }
+}
+
+/**
+ * Copy a file into its history folder and drop versions beyond MAX_VERSIONS.
+ * Returns the path of the backup.
+ */
+function saveVersion(fullPath) {
+  const dir = versionsDir(fullPath)
+  ensureStateDir(findRepoRoot(path.dirname(fullPath)))
+  fs.mkdirSync(dir, {recursive: true})
+
+  const exists = fs.existsSync(fullPath)
+  let name = `${timestamp()}${exists ? ".bak" : ".new"}`
+  for (let n = 1; fs.existsSync(path.join(dir, name)); n++) {
+    name = name.replace(/(-\d+)?\.(bak|new)$/, `-${n}.$2`)
+  }
+
+  const backupPath = path.join(dir, name)
+  if (exists) fs.copyFileSync(fullPath, backupPath)
+  else fs.writeFileSync(backupPath, "", "utf-8")
+
+  const versions = fs.readdirSync(dir).filter(f => /\.(bak|new)$/.test(f)).sort()
+  for (const old of versions.slice(0, Math.max(0, versions.length - MAX_VERSIONS))) {
+    fs.unlinkSync(path.join(dir, old))
+  }
+
+  return backupPath
+}
+
+/**
+ * Back up a file once per session, right before envsetter first changes it
+ */
+function backupOnce(fullPath) {
+  const resolved = path.resolve(fullPath)
+  if (backedUp.has(resolved)) return
+  saveVersion(resolved)
+  backedUp.add(resolved)
+}
+
+/**
+ * Every file with saved versions under the repo of `cwd`.
+ * Returns [{ file, fullPath, versions: [{ id, date, path, created }] }],
+ * versions newest first
+ */
+function listHistory(cwd) {
+  const root = findRepoRoot(cwd)
+  const base = historyRoot(cwd)
+  if (!fs.existsSync(base)) return []
+
+  const files = []
+  for (const entry of fs.readdirSync(base, {withFileTypes: true})) {
+    if (!entry.isDirectory()) continue
+    const file = decodeURIComponent(entry.name)
+    const dir = path.join(base, entry.name)
+
+    const versions = fs.readdirSync(dir)
+      .filter(name => /\.(bak|new)$/.test(name))
+      .sort()
+      .reverse()
+      .map(name => ({
+        id: name.replace(/\.(bak|new)$/, ""),
+        date: parseTimestamp(name),
+        path: path.join(dir, name),
+        created: name.endsWith(".new"), // file didn't exist before this change
+      }))
+
+    if (versions.length > 0) files.push({file, fullPath: path.join(root, file), versions})
+  }
+
+  return files.sort((a, b) => a.file.localeCompare(b.file))
+}
+
+/**
+ * Put a saved version back. The current content is backed up first,
+ * so an undo can itself be undone.
+ */
+function restoreVersion(fullPath, version) {
+  saveVersion(fullPath)
+  if (version.created) {
+    if (fs.existsSync(fullPath)) fs.unlinkSync(fullPath)
+    return
+  }
+  writeFileAtomic(fullPath, fs.readFileSync(version.path, "utf-8"))
+}
+
+module.exports = {writeFileAtomic, backupOnce, listHistory, restoreVersion, ensureStateDir}
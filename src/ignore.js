@@ -0,0 +1,178 @@
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const {spawnSync} = require("child_process")
+const ignore = require("ignore")
+
+const GITIGNORE = ".gitignore"
+const ENVSETTERIGNORE = ".envsetterignore"
+
+/**
+ * Walk up from `cwd` to the directory holding `.git`.
+ * Falls back to `cwd` itself outside a git repo.
+ */
+function findRepoRoot(cwd) {
+  let dir = path.resolve(cwd)
+  while (true) {
+    if (fs.existsSync(path.join(dir, ".git"))) return dir
+    const parent = path.dirname(dir)
+    if (parent === dir) return path.resolve(cwd)
+    dir = parent
+  }
+}
+
+function readLines(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf-8").split(/\r?\n/)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Turn a `$NAME` / `$PREFIX_*` line from .envsetterignore into a regex
+ */
+function varPatternToRegex(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")
+  return new RegExp(`^${escaped}$`)
+}
+
+/**
+ * Build a matcher that answers "should the scanner skip this?" for a project.
+ *
+ * - `.gitignore` files are honored at every level from the repo root down,
+ *   including negations; deeper files override shallower ones and nothing
+ *   inside an ignored directory can be re-included (same as git).
+ *   `.git/info/exclude` is read as part of the root rules.
+ * - `.envsetterignore` files use the same syntax for extra path exclusions.
+ *   Lines starting with `$` name variables to drop instead (`$DEBUG`, `$INTERNAL_*`).
+ */
+function createIgnoreMatcher(cwd) {
+  const root = findRepoRoot(cwd)
+  const ruleCache = new Map() // "dir\0file" → ignore instance | null
+  const dirCache = new Map() // "kind\0relDir" → boolean
+  const varPatterns = []
+
+  const loadRules = (dir, fileName) => {
+    const cacheKey = dir + "\0" + fileName
+    if (ruleCache.has(cacheKey)) return ruleCache.get(cacheKey)
+
+    let lines = readLines(path.join(dir, fileName)) || []
+    if (fileName === GITIGNORE && dir === root) {
+      lines = lines.concat(readLines(path.join(root, ".git", "info", "exclude")) || [])
+    }
+    if (fileName === ENVSETTERIGNORE) {
+      lines = lines.filter(line => !line.trim().startsWith("$"))
+    }
+
+    const rules = lines.some(line => line.trim() && !line.trim().startsWith("#"))
+      ? ignore().add(lines)
+      : null
+    ruleCache.set(cacheKey, rules)
+    return rules
+  }
+
+  // Apply every rules file from the root down to the path's own directory
+  const matchOwnRules = (fileName, relPath, isDir) => {
+    const segments = relPath.split("/")
+    let ignored = false
+
+    for (let depth = 0; depth < segments.length; depth++) {
+      const levelDir = path.join(root, ...segments.slice(0, depth))
+      const rules = loadRules(levelDir, fileName)
+      if (!rules) continue
+
+      const subPath = segments.slice(depth).join("/") + (isDir ? "/" : "")
+      const result = rules.test(subPath)
+      if (result.ignored) ignored = true
+      else if (result.unignored) ignored = false
+    }
+    return ignored
+  }
+
+  const isIgnoredBy = (fileName, absPath, isDir) => {
+    const relPath = path.relative(root, path.resolve(absPath)).replace(/\\/g, "/")
+    if (!relPath || relPath.startsWith("..")) return false
+
+    // A path inside an ignored directory is ignored, whatever its own rules say
+    const segments = relPath.split("/")
+    for (let i = 1; i < segments.length; i++) {
+      const dirPath = segments.slice(0, i).join("/")
+      const cacheKey = fileName + "\0" + dirPath
+      if (!dirCache.has(cacheKey)) dirCache.set(cacheKey, matchOwnRules(fileName, dirPath, true))
+      if (dirCache.get(cacheKey)) return true
+    }
+
+    return matchOwnRules(fileName, relPath, isDir)
+  }
+
+  // Variable patterns come from every .envsetterignore between root and cwd
+  const relCwd = path.relative(root, path.resolve(cwd)).replace(/\\/g, "/")
+  const cwdSegments = relCwd ? relCwd.split("/") : []
+  for (let depth = 0; depth <= cwdSegments.length; depth++) {
+    const lines = readLines(path.join(root, ...cwdSegments.slice(0, depth), ENVSETTERIGNORE)) || []
+    for (const line of lines) {
+      const trimmed = line.trim()
+      if (trimmed.startsWith("$") && trimmed.length > 1) varPatterns.push(varPatternToRegex(trimmed.slice(1)))
+    }
+  }
+
+  return {
+    root,
+
+    /** Path is excluded by a .gitignore */
+    isGitIgnored(absPath, isDir = false) {
+      return isIgnoredBy(GITIGNORE, absPath, isDir)
+    },
+
+    /** Path is excluded by a .envsetterignore */
+    isExcluded(absPath, isDir = false) {
+      return isIgnoredBy(ENVSETTERIGNORE, absPath, isDir)
+    },
+
+    /** Variable name is listed in a .envsetterignore */
+    ignoresVar(name) {
+      return varPatterns.some(re => re.test(name))
+    },
+  }
+}
+
+/**
+ * Whether git tracks a file. False when git isn't available.
+ */
+function isTrackedByGit(root, absPath) {
+  const relPath = path.relative(root, absPath).replace(/\\/g, "/")
+  const result = spawnSync("git", ["ls-files", "--error-unmatch", "--", relPath], {cwd: root, stdio: "ignore"})
+  return result.status === 0
+}
+
+/**
+ * How git sees an env file — is it ignored (by any .gitignore in the
+ * hierarchy), already committed, and where an ignore entry for it belongs.
+ * Returns null outside a git repository. Otherwise {
+ *   root, ignored, tracked,
+ *   gitignorePath: nearest .gitignore between the file and the repo root (root's if none),
+ *   entry: the line to add there — the file's path relative to that .gitignore,
+ * }
+ */
+function getGitStatus(filePath) {
+  const absPath = path.resolve(filePath)
+  const root = findRepoRoot(path.dirname(absPath))
+  if (!fs.existsSync(path.join(root, ".git"))) return null
+
+  let dir = path.dirname(absPath)
+  while (dir !== root && !fs.existsSync(path.join(dir, GITIGNORE))) dir = path.dirname(dir)
+  const relToGitignore = path.relative(dir, absPath).replace(/\\/g, "/")
+
+  return {
+    root,
+    ignored: createIgnoreMatcher(path.dirname(absPath)).isGitIgnored(absPath),
+    tracked: isTrackedByGit(root, absPath),
+    gitignorePath: path.join(dir, GITIGNORE),
+    // A slash anchors the pattern to the .gitignore's folder
+    entry: relToGitignore.includes("/") ? "/" + relToGitignore : relToGitignore,
+  }
+}
+
+module.exports = {createIgnoreMatcher, findRepoRoot, getGitStatus}
@@ -1,21 +1,75 @@
 ﻿"use strict"
 
+const fs = require("fs")
 const path = require("path")
 const ora = require("ora")
 const chalk = require("chalk")
 
-const {scanCodebase, scanEnvFilesOnly, parseExistingEnv, discoverEnvFolders} = require("./scanner")
 const {
+  scanCodebase,
+  scanEnvFilesOnly,
+  readEnvFile,
+  discoverEnvFolders,
+  findUnusedKeys,
+  check,
+  diff,
+  readEnv,
+  setValues,
+  unsetValues,
+  fingerprint,
+  formatReport,
+} = require("./api")
+const {
+  setAssumeYes,
   showBanner,
   showScanResult,
+  askPruneUnused,
+  askLayerMode,
   askMode,
   askEnvFile,
   askFolder,
   promptForValues,
   askBulkPaste,
+  showParseErrors,
   showSummary,
+  askExternalChange,
+  askGitignoreFix,
+  showHistory,
+  askRestoreVersion,
+  askHiddenValue,
+  maskValue,
+  showNewVariables,
+  askFillNow,
 } = require("./ui")
-const {writeEnvFile, ensureGitignore, syncToEnvExample} = require("./writer")
+const {
+  writeEnvFile,
+  formatValue,
+  removeEnvKeys,
+  snapshotEnvFile,
+  findExternalChanges,
+  addGitignoreEntry,
+  syncToEnvExample,
+} = require("./writer")
+const {loadConfig, getConfig, getDefaultTarget} = require("./config")
+const {resolveLayers, detectModes} = require("./layers")
+const {listHistory, restoreVersion, writeFileAtomic, backupOnce} = require("./history")
+const {getGitStatus} = require("./ignore")
+const {exportEnv} = require("./formats")
+const {
+  ENCRYPTED_EXT,
+  isEncryptedFile,
+  loadKey,
+  readEncryptedEnv,
+  sealValues,
+  encryptEnvFile,
+  decryptEnvFile,
+} = require("./vault")
+const {isSensitiveKey} = require("./hints")
+const {parseArgs, formatHelp} = require("./cli")
+const {REPORT_FORMATS} = require("./report")
+const {createScanIndex, watchFolder} = require("./watch")
+
+const EXAMPLE_FILE = ".env.example"
 
 // Theme colors matching ui.js
 const T = {
@@ -31,15 +85,62 @@ const T = {
   textSubtle: "#52525B",
 }
 
+// Commands meant for scripts and CI — no banner, results only on stdout
+const SCRIPT_COMMANDS = new Set(["check", "get", "set", "unset", "list", "diff", "export", "encrypt", "decrypt"])
+
+function fail(message) {
+  console.error(chalk.hex(T.red)(`  ✖ ${message}`))
+  process.exitCode = 1
+}
+
+function hasUsableValue(envMap, key) {
+  if (!envMap.has(key)) return false
+  const value = envMap.get(key)
+  return typeof value === "string" && value.trim().length > 0
+}
+
 /**
- * Process a single folder — scan, select env file, fill values
+ * Read an env file for a command, decrypting `.enc` files with the project key.
+ * Returns { values, errors }
  */
-async function processFolder(folderPath, isDeepScan, folderLabel) {
-  const hasUsableValue = (envMap, key) => {
-    if (!envMap.has(key)) return false
-    const value = envMap.get(key)
-    return typeof value === "string" && value.trim().length > 0
+function readTargetFile(fullPath) {
+  return isEncryptedFile(fullPath) ? {values: readEnv(fullPath), errors: []} : readEnvFile(fullPath)
+}
+
+/**
+ * --folder takes a path, or the end of a path discoverEnvFolders finds —
+ * `--folder api` for apps/api. Returns the absolute folder path.
+ */
+function resolveFolderOption(cwd, folder) {
+  const direct = path.resolve(cwd, folder)
+  if (fs.existsSync(direct)) return direct
+
+  const wanted = folder.replace(/\\/g, "/").replace(/^\.\/|\/+$/g, "")
+  const matches = discoverEnvFolders(cwd).filter(f => f.relPath === wanted || f.relPath.endsWith("/" + wanted))
+  if (matches.length === 1) return matches[0].absPath
+  if (matches.length > 1) {
+    throw new Error(`--folder ${folder} matches ${matches.map(f => f.relPath).join(", ")} — give the full path`)
   }
+  throw new Error(`${folder} not found`)
+}
+
+/**
+ * Folder and env file a non-interactive command works on:
+ * --folder (default: cwd), then --file, the configured target or .env inside it
+ */
+function resolveTarget(cwd, options) {
+  const folderPath = path.resolve(cwd, options.folder || ".")
+  const envFile = options.file || getDefaultTarget(folderPath) || ".env"
+  const fullPath = path.resolve(folderPath, envFile)
+  return {folderPath, envFile, fullPath, label: path.relative(cwd, fullPath) || envFile}
+}
+
+/**
+ * Process a single folder — scan, select env file, fill values.
+ * `options.file` and `options.mode` answer the matching prompts up front.
+ */
+async function processFolder(folderPath, options, folderLabel) {
+  const isDeepScan = Boolean(options.deep)
 
   // Show which folder we're working on
   if (folderLabel) {
@@ -67,7 +168,7 @@ async function processFolder(folderPath, isDeepScan, folderLabel) {
 
   let foundVars
   try {
-    foundVars = isDeepScan ? scanCodebase(folderPath) : scanEnvFilesOnly(folderPath)
+    foundVars = isDeepScan ? await scanCodebase(folderPath, {cache: !options["no-cache"]}) : scanEnvFilesOnly(folderPath)
   } catch (err) {
     spinner.fail(chalk.hex(T.red)("Failed to scan for environment variables"))
     console.error(err)
@@ -89,14 +190,137 @@ async function processFolder(folderPath, isDeepScan, folderLabel) {
   }
 
   // ── Select Target File ─────────────────────────────────────────────────────
-  const envFilePath = await askEnvFile(folderPath)
+  const envFilePath = options.file || await askEnvFile(folderPath)
   const fullEnvPath = path.resolve(folderPath, envFilePath)
-  const existingEnv = parseExistingEnv(fullEnvPath)
+
+  // Encrypted files are decrypted in memory and every write is sealed again
+  const encrypted = isEncryptedFile(envFilePath)
+  let vaultKey = null
+  const readTarget = () => (encrypted ? {values: readEncryptedEnv(fullEnvPath, vaultKey), errors: []} : readEnvFile(fullEnvPath))
+
+  // The snapshot is taken together with the read, so anything changed while
+  // the prompts below are open is caught before the first write
+  let existingEnv = new Map()
+  let parseErrors = []
+  let snapshot
+  try {
+    if (encrypted) vaultKey = loadKey(folderPath).key
+    snapshot = snapshotEnvFile(fullEnvPath)
+    const target = readTarget()
+    existingEnv = target.values
+    parseErrors = target.errors
+  } catch (err) {
+    console.log(chalk.hex(T.red)(`\n  ✖ ${err.message}\n`))
+    return {saved: 0, skipped: true}
+  }
   console.log("")
+  showParseErrors(parseErrors, envFilePath)
+
+  // ── Layered Env Files ──────────────────────────────────────────────────────
+  // Only ask when the folder actually has mode-specific files
+  const modes = encrypted ? [] : detectModes(folderPath)
+  const layerMode = encrypted ? null : getConfig().mode || (modes.length > 0 ? await askLayerMode(modes) : null)
+  const layers = layerMode ? resolveLayers(folderPath, layerMode, envFilePath) : null
+
+  // ── Unused Keys ────────────────────────────────────────────────────────────
+  // .env.example is left out here — its stale keys are offered when it gets synced
+  let staleExample = []
+  if (isDeepScan) {
+    const allUnused = findUnusedKeys(folderPath, foundVars, envFilePath)
+    staleExample = allUnused.filter(u => u.files.includes(EXAMPLE_FILE)).map(u => ({key: u.key, files: [EXAMPLE_FILE]}))
+    const unused = allUnused
+      .map(u => ({key: u.key, files: u.files.filter(f => f !== EXAMPLE_FILE)}))
+      .filter(u => u.files.length > 0)
+    const toRemove = await askPruneUnused(unused)
+
+    if (toRemove.length > 0) {
+      const selected = new Set(toRemove)
+      const byFile = new Map()
+      for (const {key, files} of unused) {
+        if (!selected.has(key)) continue
+        for (const file of files) {
+          if (!byFile.has(file)) byFile.set(file, [])
+          byFile.get(file).push(key)
+        }
+      }
+
+      let removed = 0
+      for (const [file, keys] of byFile) {
+        const filePath = path.resolve(folderPath, file)
+        // Our own removal must not look like an outside edit later — unless
+        // someone else changed the file first
+        const ownEdit = filePath === fullEnvPath && !findExternalChanges(snapshot)
+        removed += removeEnvKeys(filePath, keys)
+        if (ownEdit) snapshot = snapshotEnvFile(fullEnvPath)
+      }
+      for (const key of toRemove) {
+        foundVars.delete(key)
+        existingEnv.delete(key)
+      }
+      if (layers) Object.assign(layers, resolveLayers(folderPath, layers.mode, envFilePath))
+
+      console.log(
+        chalk.hex(T.green)(
+          `  ✔ Removed ${removed} unused ${removed !== 1 ? "entries" : "entry"} from ${byFile.size} file${byFile.size > 1 ? "s" : ""}\n`,
+        ),
+      )
+    }
+  }
+
+  // ── .env.example Sync ──────────────────────────────────────────────────────
+  const syncExample = async savedKeys => {
+    const synced = savedKeys.length > 0 ? syncToEnvExample(folderPath, savedKeys, foundVars) : 0
+    if (synced > 0) {
+      console.log(
+        chalk.hex(T.green)(
+          `  ✔ Synced ${synced} new ${synced > 1 ? "keys" : "key"} to ${EXAMPLE_FILE}`,
+        ),
+      )
+    }
+
+    if (staleExample.length === 0) return
+    console.log("")
+    const toRemove = await askPruneUnused(staleExample, `Stale Keys in ${EXAMPLE_FILE}`)
+    if (toRemove.length > 0) {
+      const removed = removeEnvKeys(path.join(folderPath, EXAMPLE_FILE), toRemove)
+      console.log(
+        chalk.hex(T.green)(
+          `  ✔ Removed ${removed} stale ${removed !== 1 ? "keys" : "key"} from ${EXAMPLE_FILE}`,
+        ),
+      )
+    }
+  }
+
+  // ── External Edit Guard ────────────────────────────────────────────────────
+  // The session can sit in prompts for minutes — before each write make sure
+  // nobody else changed the file since it was read
+  const saveValues = async newVars => {
+    const changes = findExternalChanges(snapshot)
+    let outcome = "saved"
+
+    if (changes) {
+      outcome = await askExternalChange(envFilePath, changes, [...newVars.keys()])
+      if (outcome === "abort") return {outcome, written: 0}
+
+      // The file on disk is the new baseline either way
+      existingEnv.clear()
+      for (const [key, value] of readTarget().values) existingEnv.set(key, value)
+      if (outcome === "reload") {
+        const dropped = changes.filter(ch => newVars.delete(ch.key))
+        if (dropped.length === 0) outcome = "saved"
+      }
+    }
+
+    const toWrite = encrypted ? sealValues(fullEnvPath, newVars, vaultKey) : newVars
+    const written = newVars.size > 0 ? writeEnvFile(fullEnvPath, toWrite, existingEnv) : 0
+    for (const [key, value] of newVars) existingEnv.set(key, value)
+    snapshot = snapshotEnvFile(fullEnvPath)
+    return {outcome, written}
+  }
 
   // ── Show Scan Summary ──────────────────────────────────────────────────────
-  const {missing, alreadySet} = showScanResult(foundVars, existingEnv)
-  const mode = await askMode(missing, alreadySet)
+  const {missing, alreadySet, missingRequired} = showScanResult(foundVars, existingEnv, layers)
+  const mode = options.mode || await askMode(missing, alreadySet, missingRequired)
 
   if (mode === "exit") {
     console.log(chalk.hex(T.textMuted)("\n  Skipped this folder.\n"))
@@ -111,20 +335,14 @@ async function processFolder(folderPath, isDeepScan, folderLabel) {
       return {saved: 0, skipped: false}
     }
 
-    const savedCount = writeEnvFile(fullEnvPath, bulkVars, existingEnv)
+    const {outcome, written: savedCount} = await saveValues(bulkVars)
+    if (outcome === "abort") {
+      showSummary(0, envFilePath)
+      return {saved: 0, skipped: false}
+    }
 
     // Sync to .env.example
-    const savedKeys = [...bulkVars.keys()]
-    if (savedKeys.length > 0) {
-      const synced = syncToEnvExample(savedKeys)
-      if (synced > 0) {
-        console.log(
-          chalk.hex(T.green)(
-            `  ✔ Synced ${synced} new ${synced > 1 ? "keys" : "key"} to .env.example`,
-          ),
-        )
-      }
-    }
+    await syncExample([...bulkVars.keys()])
 
     showSummary(savedCount, envFilePath)
     return {saved: savedCount, skipped: false}
@@ -132,8 +350,16 @@ async function processFolder(folderPath, isDeepScan, folderLabel) {
 
   // ── Determine Variables to Fill ────────────────────────────────────────────
   let varsToFill
+  // Coverage is judged on the merged layers — a key set in .env.local isn't missing
+  const mergedEnv = layers
+    ? new Map([...layers.values].map(([key, {value}]) => [key, value]))
+    : existingEnv
   if (mode === "missing") {
-    varsToFill = [...foundVars.keys()].filter(k => !hasUsableValue(existingEnv, k))
+    varsToFill = [...foundVars.keys()].filter(k => !hasUsableValue(mergedEnv, k))
+  } else if (mode === "required") {
+    varsToFill = [...foundVars.keys()].filter(
+      k => foundVars.get(k).required !== false && !hasUsableValue(mergedEnv, k),
+    )
   } else {
     varsToFill = [...foundVars.keys()]
   }
@@ -152,10 +378,12 @@ async function processFolder(folderPath, isDeepScan, folderLabel) {
     existingEnv,
     foundVars,
     async (key, value) => {
-      const written = writeEnvFile(fullEnvPath, new Map([[key, value]]), existingEnv)
+      const {outcome, written} = await saveValues(new Map([[key, value]]))
       savedCount += written
-      existingEnv.set(key, value)
+      if (outcome === "abort" || outcome === "reload") return outcome
+      if (layers) Object.assign(layers, resolveLayers(folderPath, layers.mode, envFilePath))
     },
+    {cwd: folderPath, targetFile: envFilePath, layers},
   )
 
   if (newValues.size === 0) {
@@ -164,44 +392,664 @@ async function processFolder(folderPath, isDeepScan, folderLabel) {
   }
 
   // ── Gitignore Check ────────────────────────────────────────────────────────
-  const isIgnored = ensureGitignore(envFilePath)
-  if (isIgnored === false) {
+  // Encrypted files are meant to be committed
+  const gitStatus = encrypted ? null : getGitStatus(fullEnvPath)
+  if (gitStatus && (!gitStatus.ignored || gitStatus.tracked)) {
+    const addEntry = await askGitignoreFix(gitStatus, fullEnvPath)
+    if (addEntry) {
+      addGitignoreEntry(gitStatus.gitignorePath, gitStatus.entry)
+      const relGitignore = path.relative(gitStatus.root, gitStatus.gitignorePath) || ".gitignore"
+      if (getGitStatus(fullEnvPath).ignored) {
+        console.log(chalk.hex(T.green)(`  ✔ Added ${gitStatus.entry} to ${relGitignore}`))
+      } else {
+        // e.g. a later `!` rule in a deeper .gitignore re-includes it
+        console.log(
+          chalk.hex(T.yellow)(`  ⚠ Added ${gitStatus.entry} to ${relGitignore}, but another rule still includes it`),
+        )
+      }
+    }
     console.log("")
-    console.log(
-      chalk.hex(T.yellow)(
-        `  ⚠ ${chalk.bold(envFilePath)} is ${chalk.bold("NOT")} in .gitignore!`,
-      ),
-    )
-    console.log(
-      chalk.hex(T.textMuted)(
-        `    Run: ${chalk.hex(T.accent)(`echo "${path.basename(envFilePath)}" >> .gitignore`)}`,
-      ),
-    )
   }
 
   // ── Sync keys to .env.example ──────────────────────────────────────────────
-  const savedKeys = [...newValues.keys()]
-  if (savedKeys.length > 0) {
-    const synced = syncToEnvExample(savedKeys)
-    if (synced > 0) {
-      console.log(
-        chalk.hex(T.green)(
-          `  ✔ Synced ${synced} new ${synced > 1 ? "keys" : "key"} to .env.example`,
-        ),
+  await syncExample([...newValues.keys()])
+
+  showSummary(savedCount, envFilePath)
+  return {saved: savedCount, skipped: false}
+}
+
+/**
+ * `envsetter history [file]` and `envsetter undo [file]`
+ */
+async function runHistoryCommand(cwd, command, fileArg) {
+  let files = listHistory(cwd)
+  if (fileArg) {
+    const target = path.resolve(cwd, fileArg)
+    files = files.filter(f => f.fullPath === target)
+    if (files.length === 0) {
+      console.log(chalk.hex(T.yellow)(`  ⚠ No saved versions of ${fileArg}\n`))
+      return
+    }
+  }
+
+  if (command === "history") {
+    showHistory(files)
+    return
+  }
+
+  const choice = await askRestoreVersion(files)
+  if (!choice) {
+    console.log(chalk.hex(T.textMuted)("  Nothing restored.\n"))
+    return
+  }
+
+  restoreVersion(choice.entry.fullPath, choice.version)
+  console.log(
+    chalk.hex(T.green)(
+      choice.version.created
+        ? `  ✔ Removed ${choice.entry.file}`
+        : `  ✔ Restored ${choice.entry.file}`,
+    ),
+  )
+  console.log(chalk.hex(T.textMuted)(`    The previous content was saved too — run envsetter undo again to go back.\n`))
+}
+
+/**
+ * `envsetter export [file] --format <fmt> [--output <file>]`
+ * Prints to stdout unless --output is given, so nothing else goes to stdout.
+ */
+function runExport(cwd, options, fileArg) {
+  const {format} = options
+  if (!format) return fail("Missing --format (json, yaml, shell, docker, k8s, k8s-secret, systemd)")
+
+  const envFile = fileArg || options.file || getDefaultTarget(cwd) || ".env"
+  const fullPath = path.resolve(cwd, envFile)
+  if (!fs.existsSync(fullPath)) return fail(`${envFile} not found`)
+
+  let values, errors
+  try {
+    ({values, errors} = readTargetFile(fullPath))
+  } catch (err) {
+    return fail(err.message)
+  }
+  for (const err of errors) {
+    console.error(chalk.hex(T.yellow)(`  ⚠ ${envFile}:${err.line} ${err.message}`))
+  }
+
+  let result
+  try {
+    result = exportEnv(values, format, {
+      name: options.name || path.basename(path.dirname(fullPath)),
+      namespace: options.namespace,
+    })
+  } catch (err) {
+    return fail(err.message)
+  }
+  for (const warning of result.warnings) console.error(chalk.hex(T.yellow)(`  ⚠ ${warning}`))
+
+  const {output} = options
+  if (!output) {
+    process.stdout.write(result.output)
+    return
+  }
+  writeFileAtomic(path.resolve(cwd, output), result.output)
+  console.log(chalk.hex(T.green)(`  ✔ Exported ${values.size} variable${values.size !== 1 ? "s" : ""} from ${envFile} to ${output} (${format})`))
+}
+
+/**
+ * `envsetter import <file|->` — read values in any format bulk paste understands
+ * and write them after the usual confirmation. Reading stdin (`-`) leaves no
+ * terminal for prompts, so the default target is used and the list is confirmed as shown.
+ */
+async function runImport(cwd, source, options) {
+  if (!source) return fail("Usage: envsetter import <file|->\n")
+
+  let content
+  try {
+    content = fs.readFileSync(source === "-" ? 0 : path.resolve(cwd, source), "utf-8")
+  } catch (err) {
+    return fail(`Could not read ${source}: ${err.message}\n`)
+  }
+
+  const interactive = source !== "-" && process.stdin.isTTY && !options.yes
+  const envFilePath = options.file || (interactive ? await askEnvFile(cwd) : getDefaultTarget(cwd) || ".env")
+  if (!interactive) console.log(chalk.hex(T.textMuted)(`  Writing to ${envFilePath}`))
+
+  const values = await askBulkPaste(content, {label: source === "-" ? "stdin" : source, assumeYes: !interactive})
+  if (!values) return
+
+  // setValues keeps the existing entries and seals values for .enc targets
+  let saved
+  try {
+    saved = setValues(path.resolve(cwd, envFilePath), values)
+  } catch (err) {
+    return fail(err.message)
+  }
+  showSummary(saved, envFilePath)
+}
+
+/**
+ * `envsetter encrypt [file]` writes `<file>.enc`; `envsetter decrypt [file.enc]`
+ * writes the plaintext next to it. `--output` picks another target, and
+ * `decrypt --output -` prints to stdout.
+ */
+function runVaultCommand(cwd, options, command, fileArg) {
+  const defaultFile = options.file || getDefaultTarget(cwd) || ".env"
+  const {output} = options
+
+  try {
+    if (command === "encrypt") {
+      const source = fileArg || defaultFile
+      if (isEncryptedFile(source)) return fail(`${source} is already encrypted`)
+      if (!fs.existsSync(path.resolve(cwd, source))) return fail(`${source} not found`)
+
+      const {key, source: keySource, created} = loadKey(cwd, true)
+      if (created) {
+        console.log(chalk.hex(T.yellow)(`  ⚠ Generated a new key in ${keySource}`))
+        console.log(chalk.hex(T.textMuted)(`    It stays out of git — share it through a password manager, or set ENVSETTER_KEY in CI.`))
+      }
+
+      const target = output || source + ENCRYPTED_EXT
+      const {count} = encryptEnvFile(path.resolve(cwd, source), key, path.resolve(cwd, target))
+      console.log(chalk.hex(T.green)(`  ✔ Encrypted ${count} value${count !== 1 ? "s" : ""} from ${source} into ${target}`))
+      console.log(chalk.hex(T.textMuted)(`    Commit ${target}; keep ${source} out of git.`))
+      return
+    }
+
+    const source = fileArg || defaultFile + ENCRYPTED_EXT
+    if (!fs.existsSync(path.resolve(cwd, source))) return fail(`${source} not found`)
+    const {content, count} = decryptEnvFile(path.resolve(cwd, source), loadKey(cwd).key)
+
+    if (output === "-") {
+      process.stdout.write(content)
+      return
+    }
+    const target = output || (isEncryptedFile(source) ? source.slice(0, -ENCRYPTED_EXT.length) : source + ".decrypted")
+    backupOnce(path.resolve(cwd, target))
+    writeFileAtomic(path.resolve(cwd, target), content)
+    console.log(chalk.hex(T.green)(`  ✔ Decrypted ${count} value${count !== 1 ? "s" : ""} from ${source} into ${target}`))
+  } catch (err) {
+    fail(err.message)
+  }
+}
+
+/**
+ * `envsetter scan` — the scan summary and the missing keys, without prompts
+ */
+async function runScan(cwd, options) {
+  const {folderPath, envFile, fullPath, label} = resolveTarget(cwd, options)
+
+  let foundVars, values, errors
+  try {
+    foundVars = options.deep ? await scanCodebase(folderPath, {cache: !options["no-cache"]}) : scanEnvFilesOnly(folderPath)
+    ;({values, errors} = readTargetFile(fullPath))
+  } catch (err) {
+    return fail(err.message)
+  }
+  showParseErrors(errors, envFile)
+
+  const mode = getConfig().mode
+  const layers = mode && !isEncryptedFile(envFile) ? resolveLayers(folderPath, mode, envFile) : null
+  showScanResult(foundVars, values, layers)
+
+  const mergedEnv = layers ? new Map([...layers.values].map(([key, {value}]) => [key, value])) : values
+  const missing = [...foundVars.keys()].filter(key => !hasUsableValue(mergedEnv, key))
+  if (missing.length === 0) return
+
+  const width = Math.max(...missing.map(key => key.length)) + 2
+  console.log(chalk.hex(T.textSecondary)(`  Missing in ${label}:`))
+  for (const key of missing) {
+    const entry = foundVars.get(key)
+    const [first] = entry.locations || []
+    const where = first ? `${first.file}:${first.line}` : [...entry.files].join(", ")
+    const optional = entry.required === false ? chalk.hex(T.textSubtle)("  optional") : ""
+    console.log(`    ${chalk.hex(T.red)("○")} ${chalk.hex(T.text)(key.padEnd(width))}${chalk.hex(T.textMuted)(where)}${optional}`)
+  }
+  console.log("")
+}
+
+/**
+ * `envsetter check` — compare the code with the target env file (see api.check)
+ * and print or write the report. Any missing variable exits with 1; with
+ * --ignore-optional, missing optional ones are only reported.
+ */
+async function runCheck(cwd, options) {
+  const format = options.format || "text"
+  if (!REPORT_FORMATS.includes(format)) {
+    return fail(`Unknown report format "${format}" — use one of: ${REPORT_FORMATS.join(", ")}`)
+  }
+  if (options.example && options.file) return fail("Use either --example or --file")
+
+  const {folderPath} = resolveTarget(cwd, options)
+  let result
+  try {
+    result = await check({
+      cwd: folderPath,
+      file: options.file,
+      example: options.example,
+      env: options.env,
+      ignoreOptional: options["ignore-optional"],
+      cache: !options["no-cache"],
+    })
+  } catch (err) {
+    return fail(err.message)
+  }
+  for (const err of result.errors) {
+    console.error(chalk.hex(T.yellow)(`  ⚠ ${result.target}:${err.line} ${err.message}`))
+  }
+  if (!result.ok) process.exitCode = 1
+
+  if (format !== "text") {
+    const report = formatReport(result, format)
+    if (!options.output || options.output === "-") {
+      process.stdout.write(report)
+      return
+    }
+    // The report only names variables and CI uploads it, so it needn't be private
+    writeFileAtomic(path.resolve(cwd, options.output), report, 0o644)
+  } else if (options.output) {
+    return fail("--output needs --format json, junit or sarif")
+  }
+
+  showCheckResult(result, options.output)
+}
+
+/**
+ * Human-readable summary of a check — `reportFile` is where the report went, if anywhere
+ */
+function showCheckResult(result, reportFile) {
+  const {target, variables} = result
+  const missingRequired = variables.filter(v => !v.set && v.required)
+  const missingOptional = variables.filter(v => !v.set && !v.required)
+  const width = Math.max(0, ...variables.map(v => v.key.length)) + 2
+  const showMissing = (list, color) => {
+    for (const {key, locations} of list) {
+      const usedIn = locations.slice(0, 3).map(l => (l.line ? `${l.file}:${l.line}` : l.file)).join(", ")
+      const more = locations.length > 3 ? ` +${locations.length - 3} more` : ""
+      console.log(`    ${chalk.hex(color)("○")} ${chalk.hex(T.text)(key.padEnd(width))}${chalk.hex(T.textMuted)(usedIn + more)}`)
+    }
+  }
+
+  if (missingRequired.length === 0) {
+    console.log(chalk.hex(T.green)(`  ✔ All ${variables.length - missingOptional.length} required variable${variables.length - missingOptional.length !== 1 ? "s are" : " is"} set in ${target}`))
+  } else {
+    console.log(chalk.hex(T.red)(`  ✖ ${missingRequired.length} required variable${missingRequired.length !== 1 ? "s" : ""} missing in ${target}`))
+    showMissing(missingRequired, T.red)
+  }
+
+  if (missingOptional.length > 0 && result.ignoreOptional) {
+    console.log(chalk.hex(T.yellow)(`  ⚠ ${missingOptional.length} optional variable${missingOptional.length !== 1 ? "s" : ""} not set`))
+    showMissing(missingOptional, T.yellow)
+  } else if (missingOptional.length > 0) {
+    console.log(chalk.hex(T.red)(`  ✖ ${missingOptional.length} optional variable${missingOptional.length !== 1 ? "s" : ""} missing in ${target}`) +
+      chalk.hex(T.textMuted)("  (--ignore-optional lets them pass)"))
+    showMissing(missingOptional, T.red)
+  }
+
+  if (reportFile) console.log(chalk.hex(T.textMuted)(`  Report written to ${reportFile}`))
+}
+
+/**
+ * `envsetter get KEY` — print the raw value
+ */
+function runGet(cwd, args, options) {
+  const [key] = args
+  if (!key || args.length > 1) return fail("Usage: envsetter get KEY")
+
+  const {fullPath, label} = resolveTarget(cwd, options)
+  let values
+  try {
+    values = readEnv(fullPath)
+  } catch (err) {
+    return fail(err.message)
+  }
+
+  if (!values.has(key)) return fail(`${key} is not set in ${label}`)
+  process.stdout.write(values.get(key) + "\n")
+}
+
+/**
+ * Value for `envsetter set KEY` — piped stdin, or a hidden prompt in a terminal.
+ * Either way the secret never lands in shell history.
+ */
+async function readValueFromStdin(key) {
+  if (process.stdin.isTTY) return askHiddenValue(key)
+  // One trailing newline comes from echo / printf '%s\n' — it isn't part of the value
+  return fs.readFileSync(0, "utf-8").replace(/\r?\n$/, "")
+}
+
+/**
+ * `envsetter set KEY=VALUE [KEY=VALUE…]`, or `envsetter set KEY` to read
+ * the value from stdin
+ */
+async function runSet(cwd, args, options) {
+  if (args.length === 0) return fail("Usage: envsetter set KEY=VALUE  or  envsetter set KEY < value")
+
+  const newVars = new Map()
+  const fromStdin = []
+  for (const arg of args) {
+    const match = /^([A-Za-z_][A-Za-z0-9_.]*)(?:=([\s\S]*))?$/.exec(arg)
+    if (!match) return fail(`Expected KEY=VALUE, got "${arg}"`)
+    if (match[2] === undefined) fromStdin.push(match[1])
+    newVars.set(match[1], match[2])
+  }
+  if (fromStdin.length > 1) return fail(`Only one value can come from stdin — got ${fromStdin.join(", ")}`)
+  if (fromStdin.length === 1) newVars.set(fromStdin[0], await readValueFromStdin(fromStdin[0]))
+
+  const {fullPath, label} = resolveTarget(cwd, options)
+  try {
+    setValues(fullPath, newVars)
+  } catch (err) {
+    return fail(err.message)
+  }
+  console.log(chalk.hex(T.green)(`  ✔ Set ${[...newVars.keys()].join(", ")} in ${label}`))
+}
+
+/**
+ * `envsetter unset KEY [KEY…]` — comments around the keys are kept
+ */
+function runUnset(cwd, args, options) {
+  if (args.length === 0) return fail("Usage: envsetter unset KEY [KEY…]")
+
+  const {fullPath, label} = resolveTarget(cwd, options)
+  try {
+    const values = readEnv(fullPath)
+    const unknown = args.filter(key => !values.has(key))
+    if (unknown.length > 0) return fail(`${unknown.join(", ")} ${unknown.length > 1 ? "are" : "is"} not set in ${label}`)
+    unsetValues(fullPath, args)
+  } catch (err) {
+    return fail(err.message)
+  }
+  console.log(chalk.hex(T.green)(`  ✔ Removed ${args.join(", ")} from ${label}`))
+}
+
+/**
+ * `envsetter list [--masked]` — KEY=value lines as they'd be written to the file
+ */
+function runList(cwd, options) {
+  const {fullPath, label} = resolveTarget(cwd, options)
+  if (!fs.existsSync(fullPath)) return fail(`${label} not found`)
+
+  let values
+  try {
+    values = readEnv(fullPath)
+  } catch (err) {
+    return fail(err.message)
+  }
+
+  for (const [key, value] of values) {
+    process.stdout.write(`${key}=${options.masked ? maskValue(value) : formatValue(value)}\n`)
+  }
+}
+
+/**
+ * One side of a diff: an env file, or a folder — then its --file, configured
+ * target or .env. Folders can be named the way --folder takes them.
+ */
+function resolveDiffSide(cwd, arg, options) {
+  const direct = path.resolve(cwd, arg)
+  if (fs.existsSync(direct) && fs.statSync(direct).isFile()) return {label: arg, fullPath: direct}
+
+  const {fullPath, label} = resolveTarget(cwd, {...options, folder: resolveFolderOption(cwd, arg)})
+  if (!fs.existsSync(fullPath)) throw new Error(`${label} not found`)
+  return {label, fullPath}
+}
+
+/**
+ * `envsetter diff <a> [b]` — keys added, removed or changed from a to b.
+ * Sides are files or folders; with one side, b is the target env file.
+ * Against a template only keys are compared. Exits with 1 when they differ.
+ */
+function runDiff(cwd, args, options) {
+  if (args.length === 0 || args.length > 2) return fail("Usage: envsetter diff <a> [b]")
+
+  let sides
+  try {
+    sides = args.map(arg => resolveDiffSide(cwd, arg, options))
+    if (sides.length === 1) sides.push(resolveTarget(cwd, options))
+    for (const side of sides) {
+      if (!fs.existsSync(side.fullPath)) throw new Error(`${side.label} not found`)
+    }
+  } catch (err) {
+    return fail(err.message)
+  }
+
+  const [a, b] = sides
+  let result
+  try {
+    result = diff(a.fullPath, b.fullPath)
+  } catch (err) {
+    return fail(err.message)
+  }
+  const {keysOnly, changes} = result
+  const show = (key, value) => {
+    if (options.values) return chalk.hex(T.textMuted)(fingerprint(key, value))
+    if (options.masked || isSensitiveKey(key)) return maskValue(value)
+    if (!value) return chalk.hex(T.textMuted)("(empty)")
+    const oneLine = value.replace(/\r?\n/g, "\\n")
+    return chalk.hex(T.textSecondary)(oneLine.length > 40 ? oneLine.substring(0, 37) + "..." : oneLine)
+  }
+
+  const width = Math.max(0, ...changes.map(ch => ch.key.length)) + 2
+  const counts = {added: 0, removed: 0, changed: 0}
+  const lines = []
+  for (const {key, type, before, after} of changes) {
+    const label = chalk.hex(T.text)(keysOnly ? key : key.padEnd(width))
+    if (type === "added") {
+      counts.added += 1
+      lines.push(`  ${chalk.hex(T.green)("+")} ${label}${keysOnly ? "" : show(key, after)}`)
+    } else if (type === "removed") {
+      counts.removed += 1
+      lines.push(`  ${chalk.hex(T.red)("−")} ${label}${keysOnly ? "" : show(key, before)}`)
+    } else if (type === "changed") {
+      counts.changed += 1
+      lines.push(`  ${chalk.hex(T.yellow)("~")} ${label}${show(key, before)} ${chalk.hex(T.textSubtle)("→")} ${show(key, after)}`)
+    } else if (options.values && !keysOnly) {
+      // Matching fingerprints are the point of --values — list them too
+      lines.push(`  ${chalk.hex(T.textMuted)("=")} ${label}${show(key, before)}`)
+    }
+  }
+
+  const differs = counts.added + counts.removed + counts.changed > 0
+  if (!differs && !options.values) {
+    console.log(chalk.hex(T.green)(`  ✔ ${a.label} and ${b.label} have the same keys${keysOnly ? "" : " and values"}`))
+    return
+  }
+
+  console.log(chalk.hex(T.textMuted)(`  ${a.label} → ${b.label}${keysOnly ? "  (keys only)" : ""}`))
+  console.log("")
+  for (const line of lines) console.log(line)
+  console.log("")
+  const summary = Object.entries(counts).filter(([, n]) => n > 0).map(([type, n]) => `${n} ${type}`)
+  console.log(chalk.hex(T.textMuted)(`  ${summary.length > 0 ? summary.join(" · ") : "No differences"}`))
+  if (differs) process.exitCode = 1
+}
+
+/**
+ * `envsetter watch` — keep the scan in memory, re-scan files as they are saved
+ * and offer to fill variables that show up without a value
+ */
+async function runWatch(cwd, options) {
+  const folderPath = path.resolve(cwd, options.folder || ".")
+  const envFilePath = options.file || await askEnvFile(folderPath)
+  const fullEnvPath = path.resolve(folderPath, envFilePath)
+
+  let values
+  try {
+    values = readTargetFile(fullEnvPath).values
+  } catch (err) {
+    return fail(err.message)
+  }
+
+  const spinner = ora({
+    text: chalk.hex(T.textSecondary)("Scanning code for environment variables"),
+    spinner: "dots12",
+    color: "cyan",
+    prefixText: chalk.hex(T.accent)("  ›"),
+  }).start()
+  let index
+  try {
+    index = await createScanIndex(folderPath, {cache: !options["no-cache"]})
+  } catch (err) {
+    spinner.fail(chalk.hex(T.red)("Failed to scan for environment variables"))
+    return fail(err.message)
+  }
+  spinner.succeed(chalk.hex(T.green)(`Watching ${index.fileCount} files · ${index.vars.size} variables`))
+
+  const unset = [...index.vars.keys()].filter(key => !hasUsableValue(values, key))
+  if (unset.length > 0) {
+    console.log(chalk.hex(T.textMuted)(`  ${unset.length} of them ${unset.length > 1 ? "have" : "has"} no value in ${envFilePath} — run envsetter to fill them`))
+  }
+  console.log(chalk.hex(T.textMuted)("  Press Ctrl+C to stop\n"))
+
+  // Changes that arrive while a prompt is open wait for it
+  const queue = []
+  const newKeys = new Set() // found in code, not yet checked against the env file
+  let busy = false
+  const handleChanges = async batch => {
+    queue.push(...batch)
+    if (busy) return
+    busy = true
+
+    while (queue.length > 0) {
+      // Sources are re-scanned even if the env file can't be read right now;
+      // their new keys are offered once it can
+      for (const key of index.update(queue.splice(0)).added) newKeys.add(key)
+      try {
+        values = readTargetFile(fullEnvPath).values
+      } catch (err) {
+        console.log(chalk.hex(T.red)(`  ✖ ${err.message}`))
+        continue
+      }
+
+      const fresh = [...newKeys].filter(key => index.vars.has(key) && !hasUsableValue(values, key))
+      newKeys.clear()
+      if (fresh.length === 0) continue
+
+      showNewVariables(fresh, index.vars, envFilePath)
+      if (!(await askFillNow(fresh.length))) continue
+
+      const saved = await promptForValues(
+        fresh,
+        values,
+        index.vars,
+        async (key, value) => {
+          setValues(fullEnvPath, new Map([[key, value]]))
+          values.set(key, value)
+        },
+        {cwd: folderPath, targetFile: envFilePath},
       )
+      if (saved.size > 0) syncToEnvExample(folderPath, [...saved.keys()], index.vars)
+      console.log(chalk.hex(T.textMuted)("  Watching for changes…\n"))
     }
+
+    busy = false
   }
 
-  showSummary(savedCount, envFilePath)
-  return {saved: savedCount, skipped: false}
+  const stop = watchFolder(folderPath, batch => {
+    handleChanges(batch).catch(err => {
+      busy = false
+      console.error(chalk.hex(T.red)(`  ✖ ${err.message}`))
+    })
+  })
+
+  await new Promise(resolve => process.once("SIGINT", resolve))
+  stop()
+  console.log(chalk.hex(T.textMuted)("\n  Stopped watching.\n"))
 }
 
 async function main() {
-  const cwd = process.cwd()
-  const isDeepScan = process.argv.includes("--deep")
+  let parsed
+  try {
+    parsed = parseArgs(process.argv.slice(2))
+  } catch (err) {
+    fail(err.message)
+    console.error(chalk.hex(T.textMuted)("    Run envsetter --help for usage."))
+    return
+  }
+  const {command, args, options} = parsed
+  const {version} = require("../package.json")
+
+  if (options.help) {
+    process.stdout.write(formatHelp(version))
+    return
+  }
+  if (options.version) {
+    console.log(version)
+    return
+  }
+
+  const cwd = path.resolve(options.cwd || ".")
+  if (!fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) return fail(`${options.cwd} is not a folder`)
+  if (options.folder) {
+    try {
+      options.folder = resolveFolderOption(cwd, options.folder)
+    } catch (err) {
+      return fail(err.message)
+    }
+  }
+  setAssumeYes(options.yes)
+
+  if (SCRIPT_COMMANDS.has(command)) {
+    try {
+      loadConfig(cwd)
+    } catch (err) {
+      return fail(err.message)
+    }
+
+    if (command === "check") await runCheck(cwd, options)
+    else if (command === "get") runGet(cwd, args, options)
+    else if (command === "set") await runSet(cwd, args, options)
+    else if (command === "unset") runUnset(cwd, args, options)
+    else if (command === "list") runList(cwd, options)
+    else if (command === "diff") runDiff(cwd, args, options)
+    else if (command === "export") runExport(cwd, options, args[0])
+    else runVaultCommand(cwd, options, command, args[0])
+    return
+  }
 
   showBanner()
 
+  // ── Project Config ─────────────────────────────────────────────────────────
+  try {
+    const config = loadConfig(cwd)
+    if (config.source) {
+      console.log(
+        chalk.hex(T.textMuted)(`  Using config from ${path.relative(cwd, config.source) || config.source}\n`),
+      )
+    }
+  } catch (err) {
+    fail(`${err.message}\n`)
+    return
+  }
+
+  if (command === "history" || command === "undo") {
+    await runHistoryCommand(cwd, command, args[0])
+    return
+  }
+
+  if (command === "import") {
+    await runImport(cwd, args[0], options)
+    return
+  }
+
+  if (command === "scan") {
+    await runScan(cwd, options)
+    return
+  }
+
+  if (command === "watch") {
+    await runWatch(cwd, options)
+    return
+  }
+
+  // ── Folder Given on the Command Line ───────────────────────────────────────
+  if (options.folder) {
+    const folderPath = path.resolve(cwd, options.folder)
+    await processFolder(folderPath, options, path.relative(cwd, folderPath) || null)
+    return
+  }
+
   // ── Discover Folders with Env Files ────────────────────────────────────────
   const discoverSpinner = ora({
     text: chalk.hex(T.textSecondary)("Discovering folders with env files..."),
@@ -216,7 +1064,7 @@ async function main() {
     discoverSpinner.warn(chalk.hex(T.yellow)("No env files found in any folder"))
     console.log("")
 
-    if (!isDeepScan) {
+    if (!options.deep) {
       console.log(
         chalk.hex(T.textMuted)(`  Try deep scanning to find env references in code:\n`) +
         chalk.hex(T.accent)(`  $ envsetter --deep\n`),
@@ -225,7 +1073,7 @@ async function main() {
 
     // Fall back to running on cwd directly
     discoverSpinner.stop()
-    await processFolder(cwd, isDeepScan, null)
+    await processFolder(cwd, options, null)
     return
   }
 
@@ -245,7 +1093,7 @@ async function main() {
     for (let i = 0; i < folders.length; i++) {
       const folder = folders[i]
       const folderLabel = `${folder.relPath === "." ? "./ (root)" : folder.relPath}  [${i + 1}/${folders.length}]`
-      const result = await processFolder(folder.absPath, isDeepScan, folderLabel)
+      const result = await processFolder(folder.absPath, options, folderLabel)
       totalSaved += result.saved
     }
 
@@ -261,10 +1109,10 @@ async function main() {
   } else if (selected) {
     // Process single selected folder
     const folderLabel = selected.relPath === "." ? null : selected.relPath
-    await processFolder(selected.absPath, isDeepScan, folderLabel)
+    await processFolder(selected.absPath, options, folderLabel)
   } else {
     // No folder selected (shouldn't happen)
-    await processFolder(cwd, isDeepScan, null)
+    await processFolder(cwd, options, null)
   }
 }
 
@@ -0,0 +1,97 @@
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const {readEnvFile} = require("./scanner")
+const {getConfig} = require("./config")
+
+// ─── Layer Presets ──────────────────────────────────────────────────────────────
+// Files a framework loads for a mode, highest precedence first
+
+const LAYER_PRESETS = {
+  // Next.js skips .env.local in test so results are reproducible
+  next: mode => [`.env.${mode}.local`, mode === "test" ? null : ".env.local", `.env.${mode}`, ".env"],
+  // Vite: mode-specific files beat generic ones, .local beats shared
+  vite: mode => [`.env.${mode}.local`, `.env.${mode}`, ".env.local", ".env"],
+}
+
+// Suffixes that are never a mode name
+const NON_MODES = new Set(["local", "example", "sample", "template", "enc", "bak"])
+
+/**
+ * Pick the layering rules — config wins, then the framework in package.json,
+ * then Next.js ordering as the default
+ */
+function detectPreset(folderPath) {
+  const configured = getConfig().layering
+  if (configured && LAYER_PRESETS[configured]) return configured
+
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(folderPath, "package.json"), "utf-8"))
+    const deps = {...pkg.dependencies, ...pkg.devDependencies}
+    if (deps.vite && !deps.next) return "vite"
+  } catch {
+    // no package.json — fall through
+  }
+  return "next"
+}
+
+/**
+ * Modes that have their own env files in a folder — `.env.staging` → "staging"
+ */
+function detectModes(folderPath) {
+  const modes = new Set()
+  let entries = []
+  try {
+    entries = fs.readdirSync(folderPath)
+  } catch {
+    return []
+  }
+
+  for (const name of entries) {
+    const match = /^\.env\.([A-Za-z0-9_-]+)(\.local)?$/.exec(name)
+    if (match && !NON_MODES.has(match[1])) modes.add(match[1])
+  }
+  return [...modes].sort()
+}
+
+/**
+ * Files that make up the environment for `mode`, highest precedence first.
+ * A target file outside the preset (e.g. a custom path) goes on top since
+ * that's where values are being written.
+ */
+function getLayerFiles(mode, preset, targetFile) {
+  const files = LAYER_PRESETS[preset](mode).filter(Boolean)
+  const target = targetFile ? targetFile.replace(/\\/g, "/").replace(/^\.\//, "") : null
+  if (target && !files.includes(target)) files.unshift(target)
+  return files
+}
+
+/**
+ * Merge the layered env files of a folder.
+ * Returns {
+ *   mode, preset,
+ *   files: [{ file, exists }] highest precedence first,
+ *   values: Map of key → { value, file } — the effective value and where it came from,
+ * }
+ */
+function resolveLayers(folderPath, mode, targetFile) {
+  const preset = detectPreset(folderPath)
+  const files = getLayerFiles(mode, preset, targetFile).map(file => ({
+    file,
+    exists: fs.existsSync(path.resolve(folderPath, file)),
+  }))
+
+  const values = new Map()
+  // Walk lowest precedence first so higher layers overwrite
+  for (const {file, exists} of [...files].reverse()) {
+    if (!exists) continue
+    for (const [key, value] of readEnvFile(path.resolve(folderPath, file)).values) {
+      values.set(key, {value, file})
+    }
+  }
+
+  return {mode, preset, files, values}
+}
+
+module.exports = {resolveLayers, detectModes, detectPreset}
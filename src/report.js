@@ -0,0 +1,133 @@
+"use strict"
+
+const pkg = require("../package.json")
+
+// ─── Check Reports ──────────────────────────────────────────────────────────────
+// Machine-readable output of `envsetter check`. Every formatter takes
+//   { target, ignoreOptional, variables: [{ key, required, set, locations: [{ file, line, column }] }] }
+// with paths relative to the repo root, and returns the report as a string.
+
+const REPORT_FORMATS = ["text", "json", "junit", "sarif"]
+
+const RULES = {
+  required: {
+    id: "envsetter/missing-variable",
+    shortDescription: {text: "Environment variable is referenced but not set"},
+  },
+  optional: {
+    id: "envsetter/missing-optional-variable",
+    shortDescription: {text: "Optional environment variable is referenced but not set"},
+  },
+}
+
+// A missing variable fails the check — an optional one only without ignoreOptional
+function fails(variable, result) {
+  return !variable.set && (variable.required || !result.ignoreOptional)
+}
+
+function missingMessage(variable, target) {
+  return `${variable.key} is referenced but not set in ${target}`
+}
+
+function toJson(result) {
+  const missing = result.variables.filter(v => !v.set)
+  return JSON.stringify({
+    target: result.target,
+    ok: !missing.some(v => fails(v, result)),
+    total: result.variables.length,
+    missing: missing.map(({key, required, locations}) => ({key, required, locations})),
+  }, null, 2) + "\n"
+}
+
+function xmlEscape(text) {
+  return String(text).replace(/[<>&"']/g, ch => ({"<": "&lt;", ">": "&gt;", "&": "&amp;", "\"": "&quot;", "'": "&apos;"})[ch])
+}
+
+function formatLocation({file, line}) {
+  return line ? `${file}:${line}` : file
+}
+
+/**
+ * One test case per variable — missing ones fail, except optional ones with
+ * ignoreOptional, which are skipped
+ */
+function toJunit(result) {
+  const {target, variables} = result
+  const failures = variables.filter(v => fails(v, result)).length
+  const skipped = variables.filter(v => !v.set && !fails(v, result)).length
+  const counts = `tests="${variables.length}" failures="${failures}" errors="0" skipped="${skipped}"`
+
+  const cases = variables.map(v => {
+    const open = `    <testcase name="${xmlEscape(v.key)}" classname="${xmlEscape(target)}"`
+    if (v.set) return `${open}/>`
+
+    const message = xmlEscape(missingMessage(v, target))
+    if (!fails(v, result)) return `${open}>\n      <skipped message="optional — ${message}"/>\n    </testcase>`
+    const usedIn = v.locations.map(l => `Used in ${formatLocation(l)}`).join("\n")
+    return `${open}>\n      <failure message="${message}" type="missing">${xmlEscape(usedIn)}</failure>\n    </testcase>`
+  })
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="envsetter" ${counts}>`,
+    `  <testsuite name="envsetter check ${xmlEscape(target)}" ${counts}>`,
+    ...cases,
+    `  </testsuite>`,
+    `</testsuites>`,
+    "",
+  ].join("\n")
+}
+
+function sarifLocation({file, line, column}) {
+  const physicalLocation = {artifactLocation: {uri: file, uriBaseId: "%SRCROOT%"}}
+  if (line) physicalLocation.region = {startLine: line, startColumn: column || 1}
+  return {physicalLocation}
+}
+
+/**
+ * SARIF 2.1.0 — code scanning shows each result as an annotation on the
+ * first place the variable is used; the other usages are related locations
+ */
+function toSarif(result) {
+  const results = result.variables.filter(v => !v.set).map(v => {
+    const rule = v.required ? RULES.required : RULES.optional
+    const entry = {
+      ruleId: rule.id,
+      level: fails(v, result) ? "error" : "warning",
+      message: {text: missingMessage(v, result.target)},
+      locations: v.locations.slice(0, 1).map(sarifLocation),
+    }
+    if (v.locations.length > 1) {
+      entry.relatedLocations = v.locations.slice(1).map((l, i) => ({id: i + 1, ...sarifLocation(l)}))
+    }
+    return entry
+  })
+
+  return JSON.stringify({
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name: "envsetter",
+          version: pkg.version,
+          informationUri: pkg.homepage,
+          rules: [RULES.required, RULES.optional],
+        },
+      },
+      results,
+    }],
+  }, null, 2) + "\n"
+}
+
+/**
+ * Render a check result as json, junit or sarif (text is drawn by the CLI)
+ */
+function formatReport(result, format) {
+  if (format === "json") return toJson(result)
+  if (format === "junit") return toJunit(result)
+  if (format === "sarif") return toSarif(result)
+  throw new Error(`Unknown report format "${format}" — use one of: ${REPORT_FORMATS.join(", ")}`)
+}
+
+module.exports = {REPORT_FORMATS, formatReport}
@@ -0,0 +1,110 @@
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const pkg = require("../package.json")
+const {findRepoRoot} = require("./ignore")
+const {getConfig} = require("./config")
+const {ensureStateDir, writeFileAtomic} = require("./history")
+
+// ─── Scan Cache ─────────────────────────────────────────────────────────────────
+//
+// The env var references found in each code file are kept in
+// .envsetter/cache/scan.json at the repo root, keyed by repo-relative path.
+// A file whose size and mtime match is not read again; one whose mtime moved
+// but whose content hash matches is read but not parsed again. One cache is
+// shared by every folder of the repo, so references are stored without paths.
+
+const CACHE_FILE = path.join("cache", "scan.json")
+
+// A file changed within this window may change again without its mtime
+// moving, so it is only trusted by hash ("racy git" problem)
+const RACY_MS = 2000
+
+function hashContent(buffer) {
+  return crypto.createHash("sha1").update(buffer).digest("hex")
+}
+
+/**
+ * Cached results are only valid for the envsetter version and custom
+ * patterns that produced them
+ */
+function cacheSalt() {
+  return [pkg.version, ...getConfig().patterns.map(String)].join("\0")
+}
+
+/**
+ * Cache for scanning `cwd`. With `enabled` false nothing is read or written.
+ * Returns {
+ *   get(filePath, stat): refs when size and mtime match, else undefined,
+ *   getByHash(filePath, hash): refs when the content hash matches, else undefined,
+ *   set(filePath, stat, hash, refs),
+ *   save(filePaths): drop entries of files under `cwd` no longer listed and
+ *     write the cache if anything changed,
+ * }
+ */
+function createScanCache(cwd, enabled = true) {
+  const root = findRepoRoot(cwd)
+  const cachePath = path.join(root, ".envsetter", CACHE_FILE)
+  const salt = cacheSalt()
+  const startedAt = Date.now()
+  let files = {}
+  let dirty = false
+
+  if (enabled) {
+    try {
+      const data = JSON.parse(fs.readFileSync(cachePath, "utf-8"))
+      if (data && data.salt === salt && data.files) files = data.files
+    } catch {
+      // no cache yet, or unreadable — start over
+    }
+  }
+
+  const keyOf = filePath => path.relative(root, filePath).replace(/\\/g, "/")
+
+  return {
+    get(filePath, stat) {
+      const entry = files[keyOf(filePath)]
+      if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) return entry.refs
+    },
+
+    getByHash(filePath, hash) {
+      const entry = files[keyOf(filePath)]
+      if (entry && entry.hash === hash) return entry.refs
+    },
+
+    set(filePath, stat, hash, refs) {
+      if (!enabled) return
+      const racy = startedAt - stat.mtimeMs < RACY_MS
+      files[keyOf(filePath)] = {mtimeMs: racy ? null : stat.mtimeMs, size: stat.size, hash, refs}
+      dirty = true
+    },
+
+    save(filePaths) {
+      if (!enabled) return
+
+      const relCwd = keyOf(path.resolve(cwd))
+      const prefix = relCwd ? relCwd + "/" : ""
+      const listed = new Set(filePaths.map(keyOf))
+      for (const key of Object.keys(files)) {
+        if (key.startsWith(prefix) && !listed.has(key)) {
+          delete files[key]
+          dirty = true
+        }
+      }
+      if (!dirty) return
+
+      try {
+        const stateDir = ensureStateDir(root)
+        fs.mkdirSync(path.dirname(path.join(stateDir, CACHE_FILE)), {recursive: true})
+        writeFileAtomic(cachePath, JSON.stringify({salt, files}))
+        dirty = false
+      } catch {
+        // read-only checkout — scanning works without a cache
+      }
+    },
+  }
+}
+
+module.exports = {createScanCache, hashContent}
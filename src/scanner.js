@@ -2,7 +2,26 @@
 
 const fs = require("fs")
 const path = require("path")
+const util = require("util")
 const glob = require("glob")
+const {extractJsEnvRefs, isJsFile} = require("./ast")
+const {extractJsSchema, extractPythonSchema} = require("./schema")
+const {createIgnoreMatcher} = require("./ignore")
+const {getConfig} = require("./config")
+const {parseEnvDocument} = require("./dotenv")
+const {createScanCache, hashContent} = require("./scancache")
+
+const globAsync = util.promisify(glob)
+
+// Framework-prefixed names are picked up in any context, even in JS files
+// that go through the AST pass (bundlers inline them from anywhere)
+const PREFIX_PATTERNS = [
+  /\b(NEXT_PUBLIC_[A-Z0-9_]+)\b/g,
+  /\b(REACT_APP_[A-Z0-9_]+)\b/g,
+  /\b(VITE_[A-Z0-9_]+)\b/g,
+  /\b(NUXT_[A-Z0-9_]+)\b/g,
+  /\b(EXPO_PUBLIC_[A-Z0-9_]+)\b/g,
+]
 
 // â”€â”€â”€ Patterns that catch every way devs reference env vars â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 const ENV_PATTERNS = [
@@ -16,11 +35,7 @@ const ENV_PATTERNS = [
   /import\.meta\.env\.([A-Z][A-Z0-9_]+)/g,
 
   // NEXT_PUBLIC_, REACT_APP_, VITE_, NUXT_ prefixed in any context
-  /\b(NEXT_PUBLIC_[A-Z0-9_]+)\b/g,
-  /\b(REACT_APP_[A-Z0-9_]+)\b/g,
-  /\b(VITE_[A-Z0-9_]+)\b/g,
-  /\b(NUXT_[A-Z0-9_]+)\b/g,
-  /\b(EXPO_PUBLIC_[A-Z0-9_]+)\b/g,
+  ...PREFIX_PATTERNS,
 
   // os.environ.get("VAR") or os.environ["VAR"] or os.getenv("VAR")  â€” Python
   /os\.environ\.get\(\s*['"]([A-Z][A-Z0-9_]+)['"]/g,
@@ -50,6 +65,27 @@ const ENV_PATTERNS = [
   /\$([A-Z][A-Z0-9_]+)\b/g,
 ]
 
+// Patterns that also capture a literal fallback value (group 1 = name,
+// group 2 = quoted default, group 3 = bare default)
+const LITERAL = `(?:['"]([^'"\\n]*)['"]|(-?\\d+(?:\\.\\d+)?|true|false))`
+const DEFAULT_PATTERNS = [
+  // process.env.VAR || "x" / process.env.VAR ?? 3000 — JS files that fail to parse
+  new RegExp(`process\\.env\\.([A-Z][A-Z0-9_]+)\\s*(?:\\|\\||\\?\\?)\\s*${LITERAL}`, "g"),
+
+  // os.getenv("VAR", "x") / os.environ.get("VAR", "x") — Python
+  new RegExp(`os\\.(?:getenv|environ\\.get)\\(\\s*['"]([A-Z][A-Z0-9_]+)['"]\\s*,\\s*${LITERAL}`, "g"),
+
+  // ENV.fetch("VAR", "x") / ENV.fetch("VAR") { "x" } / ENV["VAR"] || "x" — Ruby
+  new RegExp(`ENV\\.fetch\\(\\s*['"]([A-Z][A-Z0-9_]+)['"]\\s*(?:,|\\)\\s*\\{)\\s*${LITERAL}`, "g"),
+  new RegExp(`ENV\\[['"]([A-Z][A-Z0-9_]+)['"]\\]\\s*\\|\\|\\s*${LITERAL}`, "g"),
+
+  // env("VAR", "x") — Laravel/PHP
+  new RegExp(`\\benv\\(\\s*['"]([A-Z][A-Z0-9_]+)['"]\\s*,\\s*${LITERAL}`, "g"),
+
+  // ${VAR:-x} / ${VAR-x} — shell / docker-compose
+  /\$\{([A-Z][A-Z0-9_]+):?-([^}]*)\}/g,
+]
+
 // Env var names to always ignore (runtime / system provided)
 const BLACKLIST = new Set([
   "NODE_ENV",
@@ -123,11 +159,20 @@ const CODE_EXTENSIONS = [
   "Dockerfile",
 ]
 
+/**
+ * Built-in blacklist adjusted by the project config
+ */
+function isBlacklisted(varName) {
+  const {blacklist} = getConfig()
+  if (blacklist.remove.has(varName)) return false
+  return blacklist.add.has(varName) || (blacklist.replace || BLACKLIST).has(varName)
+}
+
 /**
  * Build the glob pattern
  */
 function buildGlobPattern() {
-  const exts = CODE_EXTENSIONS.join(",")
+  const exts = [...new Set(CODE_EXTENSIONS.concat(getConfig().extensions))].join(",")
   return `**/*.{${exts}}`
 }
 
@@ -175,21 +220,47 @@ const IGNORE_DIRS = [
   "target/**",
   ".cache/**",
   ".turbo/**",
+  ".envsetter/**",
 ]
 
+const MAX_FILE_SIZE = 1024 * 1024 // bigger files are bundles or data, not code
+const SCAN_CONCURRENCY = 16 // files read at the same time
+
+// Folder names from IGNORE_DIRS — a file watcher skips them at any depth
+const IGNORE_DIR_NAMES = new Set(IGNORE_DIRS.map(dir => dir.replace(/\/\*\*$/, "")))
+
 /**
  * Files to skip when scanning EnvSetter's own source repo.
  * This prevents false positives from documentation/examples in this tool itself.
  */
 const SELF_IGNORE_FILES = new Set([
   "bin/envsetter.js",
+  "src/api.d.ts",
+  "src/api.js",
+  "src/ast.js",
+  "src/cli.js",
+  "src/config.js",
+  "src/dotenv.js",
+  "src/formats.js",
+  "src/hints.js",
+  "src/history.js",
+  "src/ignore.js",
   "src/index.js",
+  "src/layers.js",
+  "src/report.js",
+  "src/scancache.js",
   "src/scanner.js",
+  "src/schema.js",
   "src/ui.js",
+  "src/vault.js",
+  "src/watch.js",
   "src/writer.js",
   "plan.md",
 ])
 
+// Folders of EnvSetter's own repo skipped the same way — test fixtures are full of env vars
+const SELF_IGNORE_DIRS = ["test/"]
+
 function isSelfEnvsetterProject(cwd) {
   const pkgPath = path.join(cwd, "package.json")
   if (!fs.existsSync(pkgPath)) return false
@@ -203,67 +274,185 @@ function isSelfEnvsetterProject(cwd) {
 }
 
 /**
- * Parse an existing .env file and return a Map of keyâ†’value
+ * Record one reference to a variable in the scan result.
+ * Each entry is {
+ *   files: Set of relative paths,
+ *   locations: [{ file, line, column }] — one per usage, at most one per line,
+ *   defaults: Set of fallback values,
+ * }
+ * plus `schema` when a schema file declares it and `required` once classifyVars has run
  */
-function parseExistingEnv(envPath) {
-  const existing = new Map()
-  if (!fs.existsSync(envPath)) return existing
-
-  const content = fs.readFileSync(envPath, "utf-8")
-  const lines = content.split("\n")
+function recordVar(foundVars, varName, relPath, defaultValue, position) {
+  if (!foundVars.has(varName)) foundVars.set(varName, createVarEntry())
+  const entry = foundVars.get(varName)
+  entry.files.add(relPath)
+  if (position) addLocation(entry, {file: relPath, line: position.line, column: position.column})
+  if (defaultValue !== undefined && defaultValue !== null) {
+    entry.defaults.add(String(defaultValue))
+  }
+  return entry
+}
 
-  for (const line of lines) {
-    const trimmed = line.trim()
-    if (!trimmed || trimmed.startsWith("#")) continue
+function createVarEntry() {
+  const entry = {files: new Set(), locations: [], defaults: new Set()}
+  // "file:line" of every location — overlapping patterns can match one usage at
+  // two columns. Non-enumerable so it stays out of JSON
+  Object.defineProperty(entry, "locationKeys", {value: new Set()})
+  return entry
+}
 
-    const eqIndex = trimmed.indexOf("=")
-    if (eqIndex === -1) continue
+function addLocation(entry, location) {
+  const key = `${location.file}:${location.line}`
+  if (entry.locationKeys.has(key)) return
+  entry.locationKeys.add(key)
+  entry.locations.push(location)
+}
 
-    const key = trimmed.substring(0, eqIndex).trim()
-    let value = trimmed.substring(eqIndex + 1).trim()
+/**
+ * Returns a function mapping a string offset to a 1-based { line, column }
+ */
+function createPositionLookup(content) {
+  const lineStarts = [0]
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "\n") lineStarts.push(i + 1)
+  }
 
-    // Remove surrounding quotes
-    if (
-      (value.startsWith('"') && value.endsWith('"')) ||
-      (value.startsWith("'") && value.endsWith("'"))
-    ) {
-      value = value.slice(1, -1)
+  return offset => {
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (lineStarts[mid] <= offset) low = mid
+      else high = mid - 1
     }
+    return {line: low + 1, column: offset - lineStarts[low] + 1}
+  }
+}
 
-    existing.set(key, value)
+/**
+ * Read an env file with the dotenv parser.
+ * Returns { values: Map of key→value, errors: [{ line, message }] }
+ */
+function readEnvFile(envPath) {
+  if (!fs.existsSync(envPath)) return {values: new Map(), errors: []}
+
+  const {nodes, errors} = parseEnvDocument(fs.readFileSync(envPath, "utf-8"))
+  const values = new Map()
+  for (const node of nodes) {
+    if (node.type === "entry") values.set(node.key, node.value)
   }
+  return {values, errors}
+}
 
-  return existing
+/**
+ * Parse an existing .env file and return a Map of key→value
+ */
+function parseExistingEnv(envPath) {
+  return readEnvFile(envPath).values
 }
 
+/**
+ * Keys defined in env file content.
+ * Returns a Map of key → line number of its first definition
+ */
 function extractEnvKeysFromContent(content) {
-  const keys = new Set()
-  const lines = content.split("\n")
-
-  for (const line of lines) {
-    const trimmed = line.trim()
-    if (!trimmed || trimmed.startsWith("#")) continue
-
-    const eqIndex = trimmed.indexOf("=")
-    if (eqIndex === -1) continue
+  const keys = new Map()
 
-    const key = trimmed.substring(0, eqIndex).trim()
-    if (!key) continue
+  for (const node of parseEnvDocument(content).nodes) {
+    if (node.type !== "entry") continue
+    const key = node.key
     if (!/^[A-Z][A-Z0-9_]+$/.test(key)) continue
-    if (BLACKLIST.has(key)) continue
+    if (isBlacklisted(key)) continue
 
-    keys.add(key)
+    if (!keys.has(key)) keys.set(key, node.startLine)
   }
 
   return keys
 }
 
+// Template files whose comments can mark keys as optional / required
+const EXAMPLE_FILES = [".env.example", ".env.sample", ".env.template", ".env.local.example"]
+
+/**
+ * Read `# optional` / `# required` annotations from example files.
+ * Accepts the marker as a trailing comment (`KEY= # optional`) or on the
+ * comment line right above the key.
+ * Returns a Map of key → "optional" | "required"
+ */
+function readExampleAnnotations(cwd) {
+  const annotations = new Map()
+  const markerOf = text => {
+    const match = /(?:^|[\s#@(])(optional|required)\b/i.exec(text)
+    return match ? match[1].toLowerCase() : null
+  }
+
+  for (const file of EXAMPLE_FILES) {
+    const fullPath = path.join(cwd, file)
+    if (!fs.existsSync(fullPath)) continue
+
+    let content
+    try {
+      content = fs.readFileSync(fullPath, "utf-8")
+    } catch {
+      continue
+    }
+
+    let pending = null
+    for (const line of content.split("\n")) {
+      const trimmed = line.trim()
+      if (!trimmed) {
+        pending = null
+        continue
+      }
+      if (trimmed.startsWith("#")) {
+        pending = markerOf(trimmed.substring(1)) || pending
+        continue
+      }
+
+      const eqIndex = trimmed.indexOf("=")
+      if (eqIndex === -1) continue
+
+      const key = trimmed.substring(0, eqIndex).trim()
+      const hashIndex = trimmed.indexOf(" #", eqIndex)
+      const inline = hashIndex > -1 ? markerOf(trimmed.substring(hashIndex + 2)) : null
+      const marker = inline || pending
+      if (key && marker && !annotations.has(key)) annotations.set(key, marker)
+      pending = null
+    }
+  }
+
+  return annotations
+}
+
+/**
+ * Mark every scanned variable as required or optional.
+ * Precedence: config overrides → example file annotations → schema → code fallback.
+ * A variable with a default in code is optional, everything else is required.
+ */
+function classifyVars(foundVars, cwd, overrides = getConfig()) {
+  const annotations = readExampleAnnotations(cwd)
+  const forcedRequired = new Set(overrides.required || [])
+  const forcedOptional = new Set(overrides.optional || [])
+
+  for (const [key, entry] of foundVars) {
+    if (forcedRequired.has(key)) entry.required = true
+    else if (forcedOptional.has(key)) entry.required = false
+    else if (annotations.has(key)) entry.required = annotations.get(key) === "required"
+    else if (entry.schema) entry.required = !entry.schema.optional
+    else entry.required = entry.defaults.size === 0
+  }
+
+  return foundVars
+}
+
 function scanEnvFilesOnly(cwd) {
   const foundVars = new Map()
+  const matcher = createIgnoreMatcher(cwd)
 
   for (const file of ENV_SOURCE_FILES) {
     const fullPath = path.join(cwd, file)
     if (!fs.existsSync(fullPath)) continue
+    if (matcher.isExcluded(fullPath)) continue
 
     let content
     try {
@@ -273,27 +462,28 @@ function scanEnvFilesOnly(cwd) {
     }
 
     const keys = extractEnvKeysFromContent(content)
-    for (const key of keys) {
-      if (!foundVars.has(key)) {
-        foundVars.set(key, new Set())
-      }
-      foundVars.get(key).add(file)
+    for (const [key, line] of keys) {
+      if (matcher.ignoresVar(key)) continue
+      recordVar(foundVars, key, file, undefined, {line, column: 1})
     }
   }
 
-  return foundVars
+  return classifyVars(foundVars, cwd)
 }
 
 /**
- * Scan the entire codebase and return discovered env var names
+ * Everything scanning a file of `cwd` needs besides the file itself
  */
-function scanCodebase(cwd) {
-  const foundVars = new Map() // key â†’ Set of files where found
-  const skipSelfFiles = isSelfEnvsetterProject(cwd)
+function createScanContext(cwd) {
+  return {cwd, matcher: createIgnoreMatcher(cwd), skipSelfFiles: isSelfEnvsetterProject(cwd)}
+}
 
-  // 1. Glob for code files
-  const pattern = buildGlobPattern()
-  const files = glob.sync(pattern, {
+/**
+ * Files scanCodebase reads — code files by extension plus the standalone
+ * files in EXTRA_FILES. Resolves to absolute paths.
+ */
+async function listCodeFiles(cwd) {
+  const files = await globAsync(buildGlobPattern(), {
     cwd,
     ignore: IGNORE_DIRS,
     nodir: true,
@@ -301,54 +491,296 @@ function scanCodebase(cwd) {
     dot: true,
   })
 
-  // 2. Add extra standalone files
+  const listed = new Set(files)
   for (const extra of EXTRA_FILES) {
     const fullPath = path.join(cwd, extra)
-    if (fs.existsSync(fullPath) && !files.includes(fullPath)) {
+    if (!listed.has(fullPath) && fs.existsSync(fullPath)) {
       files.push(fullPath)
+      listed.add(fullPath)
     }
   }
 
-  // 3. Scan each file
-  for (const filePath of files) {
-    const relPath = path.relative(cwd, filePath).replace(/\\/g, "/")
+  return files
+}
 
-    if (skipSelfFiles && SELF_IGNORE_FILES.has(relPath)) {
-      continue
-    }
+/**
+ * Whether a file would be in listCodeFiles — for paths reported by a file watcher
+ */
+function isCodeFile(cwd, filePath) {
+  const relPath = path.relative(cwd, filePath).replace(/\\/g, "/")
+  if (relPath.startsWith("..")) return false
 
-    // Skip actual .env file (we read it separately)
-    const basename = path.basename(filePath)
-    if (basename === ".env" || basename === ".env.local") continue
+  if (relPath.split("/").slice(0, -1).some(part => IGNORE_DIR_NAMES.has(part))) return false
 
-    let content
-    try {
-      content = fs.readFileSync(filePath, "utf-8")
-    } catch {
-      continue // binary or permission issue
+  if (EXTRA_FILES.includes(relPath)) return true
+  const basename = path.basename(filePath)
+  return CODE_EXTENSIONS.concat(getConfig().extensions).some(ext => basename.endsWith("." + ext))
+}
+
+/**
+ * Files the scanner leaves alone: excluded by ignore rules, envsetter's own
+ * sources, or a real .env (read separately)
+ */
+function isSkippedFile(context, filePath) {
+  const {cwd, matcher, skipSelfFiles} = context
+  const relPath = path.relative(cwd, filePath).replace(/\\/g, "/")
+
+  if (skipSelfFiles && (SELF_IGNORE_FILES.has(relPath) || SELF_IGNORE_DIRS.some(dir => relPath.startsWith(dir)))) {
+    return true
+  }
+
+  // .envsetterignore applies to everything; .gitignore only to code, since
+  // env templates are often listed there on purpose
+  if (matcher.isExcluded(filePath)) return true
+  if (!isEnvFileName(filePath) && matcher.isGitIgnored(filePath)) return true
+
+  const basename = path.basename(filePath)
+  return basename === ".env" || basename === ".env.local"
+}
+
+/**
+ * A NUL byte in the first 8 KB marks a file as binary, as in git
+ */
+function isBinaryContent(buffer) {
+  return buffer.subarray(0, 8000).includes(0)
+}
+
+/**
+ * Every variable reference in a file's content: [{ name, line, column, defaultValue?, schema? }].
+ * Blacklist and ignore rules are applied later by recordRefs, so the result
+ * depends only on the content, the file name and the custom patterns — and
+ * can be cached.
+ */
+function extractFileRefs(content, filePath) {
+  const refs = []
+  const positionAt = createPositionLookup(content)
+  const addRef = (name, defaultValue, position, schema) => {
+    if (!name) return
+    if (!/^[A-Z][A-Z0-9_]+$/.test(name)) return
+    if (name.length < 3) return // skip tiny names like "A"
+
+    const ref = {name, line: position.line, column: position.column}
+    if (defaultValue !== undefined && defaultValue !== null) ref.defaultValue = String(defaultValue)
+    if (schema) ref.schema = schema
+    refs.push(ref)
+  }
+
+  // Env schemas (zod / t3-env / envalid / pydantic) carry type metadata
+  const schemaFields = isJsFile(filePath)
+    ? extractJsSchema(content, filePath)
+    : filePath.endsWith(".py") ? extractPythonSchema(content) : []
+  for (const field of schemaFields) {
+    addRef(field.name, field.defaultValue, {line: field.line, column: 1}, field)
+  }
+
+  // JS/TS files go through the parser so destructuring and aliases resolve;
+  // fall back to the regexes if the file doesn't parse
+  const jsRefs = isJsFile(filePath) ? extractJsEnvRefs(content, filePath) : null
+  if (jsRefs) {
+    for (const ref of jsRefs) addRef(ref.name, ref.defaultValue, ref)
+  }
+
+  // Custom patterns from the project config run on every file
+  const patterns = (jsRefs ? PREFIX_PATTERNS : ENV_PATTERNS).concat(getConfig().patterns)
+  for (const regex of patterns) {
+    // Reset lastIndex for global regex
+    regex.lastIndex = 0
+    let match
+    while ((match = regex.exec(content)) !== null) {
+      if (match[0] === "") regex.lastIndex++ // guard against empty custom matches
+      addRef(match[1], undefined, positionAt(match.index))
     }
+  }
 
-    for (const regex of ENV_PATTERNS) {
-      // Reset lastIndex for global regex
+  if (!jsRefs) {
+    for (const regex of DEFAULT_PATTERNS) {
       regex.lastIndex = 0
       let match
       while ((match = regex.exec(content)) !== null) {
-        const varName = match[1]
-        if (!varName) continue
-        if (BLACKLIST.has(varName)) continue
-        if (varName.length < 3) continue // skip tiny names like "A"
-
-        if (!foundVars.has(varName)) {
-          foundVars.set(varName, new Set())
-        }
-        foundVars.get(varName).add(relPath)
+        addRef(match[1], match[2] !== undefined ? match[2] : match[3], positionAt(match.index))
       }
     }
   }
 
+  return refs
+}
+
+/**
+ * Record the refs of one file into `foundVars`, leaving out blacklisted
+ * and ignored names
+ */
+function recordRefs(foundVars, context, relPath, refs) {
+  for (const ref of refs) {
+    if (isBlacklisted(ref.name) || context.matcher.ignoresVar(ref.name)) continue
+
+    const entry = recordVar(foundVars, ref.name, relPath, ref.defaultValue, ref)
+    if (ref.schema && !entry.schema) entry.schema = {...ref.schema, source: relPath}
+  }
+}
+
+/**
+ * Record the variables one file references into `foundVars`.
+ * Skipped, huge and binary files are left out.
+ */
+function scanFile(foundVars, context, filePath) {
+  if (isSkippedFile(context, filePath)) return
+
+  let buffer
+  try {
+    if (fs.statSync(filePath).size > MAX_FILE_SIZE) return
+    buffer = fs.readFileSync(filePath)
+  } catch {
+    return // deleted or permission issue
+  }
+  if (isBinaryContent(buffer)) return
+
+  const relPath = path.relative(context.cwd, filePath).replace(/\\/g, "/")
+  recordRefs(foundVars, context, relPath, extractFileRefs(buffer.toString("utf-8"), filePath))
+}
+
+/**
+ * The refs of one file for scanCodebaseFiles — from the cache when size and
+ * mtime or the content hash still match. Null for files that aren't scanned.
+ */
+async function readFileRefs(context, filePath, cache) {
+  if (isSkippedFile(context, filePath)) return null
+
+  let stat, buffer
+  try {
+    stat = await fs.promises.stat(filePath)
+    if (stat.size > MAX_FILE_SIZE) return null
+
+    const cached = cache.get(filePath, stat)
+    if (cached) return cached
+    buffer = await fs.promises.readFile(filePath)
+  } catch {
+    return null // deleted or permission issue
+  }
+
+  const hash = hashContent(buffer)
+  let refs = cache.getByHash(filePath, hash)
+  if (!refs) refs = isBinaryContent(buffer) ? [] : extractFileRefs(buffer.toString("utf-8"), filePath)
+  cache.set(filePath, stat, hash, refs)
+  return refs
+}
+
+/**
+ * Run `fn` on every item with at most `limit` calls pending at once.
+ * Results keep the order of `items`.
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i])
+    }
+  }
+  await Promise.all(Array.from({length: Math.min(limit, items.length)}, worker))
+  return results
+}
+
+/**
+ * Add the entries of one scan result to another — per-file results
+ * combine into the result for the folder
+ */
+function mergeVars(foundVars, fileVars) {
+  for (const [key, entry] of fileVars) {
+    if (!foundVars.has(key)) foundVars.set(key, createVarEntry())
+    const target = foundVars.get(key)
+    for (const file of entry.files) target.files.add(file)
+    for (const location of entry.locations) addLocation(target, location)
+    for (const value of entry.defaults) target.defaults.add(value)
+    if (entry.schema && !target.schema) target.schema = entry.schema
+  }
   return foundVars
 }
 
+/**
+ * Scan the code of `cwd`, SCAN_CONCURRENCY files at a time, reusing the
+ * on-disk cache unless `options.cache` is false.
+ * Resolves to { files: every file listed, perFile: Map of path → scan result of
+ * that file } — only files that reference a variable are in `perFile`.
+ */
+async function scanCodebaseFiles(cwd, options = {}) {
+  const context = createScanContext(cwd)
+  const cache = createScanCache(cwd, options.cache !== false)
+  const files = await listCodeFiles(cwd)
+  const refsByFile = await mapConcurrent(files, SCAN_CONCURRENCY, filePath => readFileRefs(context, filePath, cache))
+  cache.save(files)
+
+  const perFile = new Map()
+  files.forEach((filePath, i) => {
+    if (!refsByFile[i]) return
+    const fileVars = new Map()
+    recordRefs(fileVars, context, path.relative(cwd, filePath).replace(/\\/g, "/"), refsByFile[i])
+    if (fileVars.size > 0) perFile.set(filePath, fileVars)
+  })
+
+  return {files, perFile}
+}
+
+/**
+ * Scan the entire codebase and resolve to the discovered env vars
+ * (key → { files, locations, defaults, required, schema? })
+ */
+async function scanCodebase(cwd, options = {}) {
+  const foundVars = new Map()
+  const {perFile} = await scanCodebaseFiles(cwd, options)
+  for (const fileVars of perFile.values()) mergeVars(foundVars, fileVars)
+  return classifyVars(foundVars, cwd)
+}
+
+/**
+ * True for env files (.env, .env.local, .env.example, app.env.sample, …) as
+ * opposed to code that reads variables
+ */
+function isEnvFileName(fileName) {
+  const base = path.basename(fileName)
+  return base === ".env" || base.startsWith(".env.") || /\.env\.(example|sample|template)$/.test(base)
+}
+
+/**
+ * Find keys defined in env files that no code references anymore.
+ * `foundVars` must come from scanCodebase so code references are known.
+ * Returns [{ key, files: [relative paths that define it] }] sorted by key
+ */
+function findUnusedKeys(cwd, foundVars, envFilePath) {
+  const defined = new Map() // key → Set of env files defining it
+  const define = (key, file) => {
+    if (!defined.has(key)) defined.set(key, new Set())
+    defined.get(key).add(file)
+  }
+
+  for (const [key, entry] of scanEnvFilesOnly(cwd)) {
+    for (const file of entry.files) define(key, file)
+  }
+
+  if (envFilePath) {
+    const relTarget = path.relative(cwd, path.resolve(cwd, envFilePath)).replace(/\\/g, "/")
+    for (const key of parseExistingEnv(path.resolve(cwd, envFilePath)).keys()) {
+      if (!/^[A-Z][A-Z0-9_]+$/.test(key) || isBlacklisted(key)) continue
+      define(key, relTarget)
+    }
+  }
+
+  const matcher = createIgnoreMatcher(cwd)
+  for (const key of [...defined.keys()]) {
+    if (matcher.ignoresVar(key)) defined.delete(key)
+  }
+
+  const isReferenced = key => {
+    const entry = foundVars.get(key)
+    return !!entry && [...entry.files].some(file => !isEnvFileName(file))
+  }
+
+  return [...defined.keys()]
+    .filter(key => !isReferenced(key))
+    .sort()
+    .map(key => ({key, files: [...defined.get(key)].sort()}))
+}
+
 /**
  * Recursively discover all folders that contain env files.
  * Returns array of { relPath, absPath, envFiles[] }
@@ -362,10 +794,11 @@ function discoverEnvFolders(cwd) {
   const SKIP_DIRS = new Set([
     "node_modules", ".git", "dist", "build", ".next", ".nuxt",
     ".output", "coverage", "__pycache__", "vendor", ".venv",
-    "venv", "target", ".cache", ".turbo",
+    "venv", "target", ".cache", ".turbo", ".envsetter",
   ])
 
   const results = []
+  const matcher = createIgnoreMatcher(cwd)
 
   function walk(dir, depth) {
     if (depth > 8) return // prevent too-deep traversal
@@ -400,7 +833,10 @@ function discoverEnvFolders(cwd) {
       if (!entry.isDirectory()) continue
       if (SKIP_DIRS.has(entry.name)) continue
       if (entry.name.startsWith(".") && entry.name !== ".") continue
-      walk(path.join(dir, entry.name), depth + 1)
+
+      const child = path.join(dir, entry.name)
+      if (matcher.isGitIgnored(child, true) || matcher.isExcluded(child, true)) continue
+      walk(child, depth + 1)
     }
   }
 
@@ -408,4 +844,19 @@ function discoverEnvFolders(cwd) {
   return results
 }
 
-module.exports = {scanCodebase, scanEnvFilesOnly, parseExistingEnv, discoverEnvFolders}
+module.exports = {
+  scanCodebase,
+  scanCodebaseFiles,
+  scanEnvFilesOnly,
+  parseExistingEnv,
+  readEnvFile,
+  discoverEnvFolders,
+  findUnusedKeys,
+  isBlacklisted,
+  IGNORE_DIR_NAMES,
+  createScanContext,
+  isCodeFile,
+  scanFile,
+  mergeVars,
+  classifyVars,
+}
@@ -0,0 +1,295 @@
+"use strict"
+
+const {parseSource, walk, unwrap, getPropertyName, getPatternKeyName, getLiteralValue} = require("./ast")
+
+// Each extractor returns an array of schema fields:
+// { name, line, type, choices, defaultValue, description, optional }
+
+const ENV_NAME = /^[A-Z][A-Z0-9_]+$/
+
+// Cheap content checks so only likely schema files get parsed a second time
+const JS_SCHEMA_HINT = /\b(createEnv|cleanEnv|z\.object)\s*\(/
+const PY_SCHEMA_HINT = /\bBaseSettings\b/
+
+// ─── zod / t3-env ───────────────────────────────────────────────────────────────
+
+const ZOD_TYPES = {
+  string: "String",
+  number: "Number",
+  bigint: "Number",
+  boolean: "Flag",
+  enum: "Enum",
+  nativeEnum: "Enum",
+  literal: "Enum",
+  url: "URL",
+  email: "Email",
+}
+
+/**
+ * Describe a zod chain such as `z.string().url().default("x").describe("...")`
+ */
+function describeZod(node) {
+  const calls = []
+  node = unwrap(node)
+  while (node && node.type === "CallExpression" && node.callee.type === "MemberExpression") {
+    calls.unshift({method: getPropertyName(node.callee), args: node.arguments})
+    node = unwrap(node.callee.object)
+  }
+  if (calls.length === 0) return null
+
+  const field = {type: ZOD_TYPES[calls[0].method] || "String", choices: [], optional: false}
+  const [first] = calls
+
+  if (first.method === "enum" && first.args[0] && first.args[0].type === "ArrayExpression") {
+    field.choices = first.args[0].elements.map(getLiteralValue).filter(v => v !== undefined)
+  } else if (first.method === "literal" && first.args[0]) {
+    const value = getLiteralValue(first.args[0])
+    if (value !== undefined) field.choices = [value]
+  }
+
+  for (const {method, args} of calls.slice(1)) {
+    if (method === "url" || method === "email") field.type = ZOD_TYPES[method]
+    if (method === "optional" || method === "nullish") field.optional = true
+    if (method === "default" && args[0]) {
+      field.optional = true
+      const value = getLiteralValue(args[0])
+      if (value !== undefined) field.defaultValue = value
+    }
+    if (method === "describe" && args[0]) field.description = getLiteralValue(args[0])
+  }
+
+  return field
+}
+
+function fieldsFromObject(objectNode, describe) {
+  const fields = []
+  if (!objectNode || objectNode.type !== "ObjectExpression") return fields
+
+  for (const prop of objectNode.properties) {
+    if (prop.type !== "ObjectProperty") continue
+    const name = getPatternKeyName(prop)
+    if (!name || !ENV_NAME.test(name)) continue
+    const field = describe(prop.value)
+    if (field) fields.push({name, line: prop.loc ? prop.loc.start.line : 0, ...field})
+  }
+  return fields
+}
+
+// ─── envalid ────────────────────────────────────────────────────────────────────
+
+const ENVALID_TYPES = {
+  str: "String",
+  bool: "Flag",
+  num: "Number",
+  port: "Number",
+  email: "Email",
+  host: "Host",
+  url: "URL",
+  json: "JSON",
+}
+
+/**
+ * Describe an envalid validator such as `port({ default: 3000, desc: "..." })`
+ */
+function describeEnvalid(node) {
+  node = unwrap(node)
+  if (!node || node.type !== "CallExpression") return null
+
+  const callee = node.callee
+  const validator = callee.type === "Identifier" ? callee.name : callee.type === "MemberExpression" ? getPropertyName(callee) : null
+  if (!validator || !ENVALID_TYPES[validator]) return null
+
+  const field = {type: ENVALID_TYPES[validator], choices: [], optional: false}
+  const options = node.arguments[0]
+  if (!options || options.type !== "ObjectExpression") return field
+
+  for (const prop of options.properties) {
+    if (prop.type !== "ObjectProperty") continue
+    const key = getPatternKeyName(prop)
+    if (key === "default") {
+      field.optional = true
+      const value = getLiteralValue(prop.value)
+      if (value !== undefined) field.defaultValue = value
+    } else if (key === "choices" && prop.value.type === "ArrayExpression") {
+      field.choices = prop.value.elements.map(getLiteralValue).filter(v => v !== undefined)
+      if (field.type === "String") field.type = "Enum"
+    } else if (key === "desc") {
+      field.description = getLiteralValue(prop.value)
+    }
+  }
+
+  return field
+}
+
+/**
+ * Find env schemas in a JS/TS file:
+ * - createEnv({ server: {...}, client: {...}, shared: {...} }) — t3-env
+ * - cleanEnv(process.env, {...}) — envalid
+ * - z.object({ DATABASE_URL: z.string().url(), ... }) — plain zod
+ */
+function extractJsSchema(content, filePath) {
+  if (!JS_SCHEMA_HINT.test(content)) return []
+
+  let ast
+  try {
+    ast = parseSource(content, filePath)
+  } catch {
+    return []
+  }
+
+  const fields = []
+  walk(ast, node => {
+    if (node.type !== "CallExpression") return
+    const callee = node.callee
+    const calleeName = callee.type === "Identifier" ? callee.name : callee.type === "MemberExpression" ? getPropertyName(callee) : null
+
+    if (calleeName === "createEnv" && node.arguments[0] && node.arguments[0].type === "ObjectExpression") {
+      for (const prop of node.arguments[0].properties) {
+        if (prop.type !== "ObjectProperty") continue
+        const section = getPatternKeyName(prop)
+        if (section === "server" || section === "client" || section === "shared") {
+          fields.push(...fieldsFromObject(prop.value, describeZod))
+        }
+      }
+    } else if (calleeName === "cleanEnv") {
+      fields.push(...fieldsFromObject(node.arguments[1], describeEnvalid))
+    } else if (calleeName === "object" && callee.type === "MemberExpression") {
+      const shape = node.arguments[0]
+      if (!shape || shape.type !== "ObjectExpression" || shape.properties.length === 0) return
+      // Only env-shaped objects — every key looks like an env var name
+      const allEnvKeys = shape.properties.every(p => p.type === "ObjectProperty" && ENV_NAME.test(getPatternKeyName(p) || ""))
+      if (allEnvKeys) fields.push(...fieldsFromObject(shape, describeZod))
+    }
+  })
+
+  return fields
+}
+
+// ─── pydantic BaseSettings ──────────────────────────────────────────────────────
+
+function parsePythonLiteral(expr) {
+  expr = expr.trim()
+  const quoted = /^[rbuf]?(['"])(.*)\1$/.exec(expr)
+  if (quoted) return quoted[2]
+  if (/^-?\d+(\.\d+)?$/.test(expr)) return expr
+  if (expr === "True" || expr === "False") return expr.toLowerCase()
+  return undefined
+}
+
+/**
+ * Keyword arguments of a simple call such as `Field(..., description="x")`
+ */
+function parsePythonKwargs(args) {
+  const kwargs = {}
+  const re = /(\w+)\s*=\s*((['"])(?:[^\\]|\\.)*?\3|[^,]+)/g
+  let match
+  while ((match = re.exec(args)) !== null) {
+    kwargs[match[1]] = match[2].trim()
+  }
+  return kwargs
+}
+
+function describePythonType(annotation) {
+  let type = annotation.trim()
+  let optional = false
+
+  const optionalMatch = /^Optional\[(.*)\]$/.exec(type)
+  if (optionalMatch) {
+    type = optionalMatch[1]
+    optional = true
+  }
+  if (/\|\s*None$/.test(type)) {
+    type = type.replace(/\|\s*None$/, "").trim()
+    optional = true
+  }
+
+  const literal = /^Literal\[(.*)\]$/.exec(type)
+  if (literal) {
+    const choices = literal[1].split(",").map(parsePythonLiteral).filter(v => v !== undefined)
+    return {type: "Enum", choices, optional}
+  }
+
+  let mapped = "String"
+  if (/^SecretStr$|^SecretBytes$/.test(type)) mapped = "Secret"
+  else if (/^(int|float|PositiveInt|NonNegativeInt)$/.test(type)) mapped = "Number"
+  else if (type === "bool") mapped = "Flag"
+  else if (/(Url|Dsn)$/.test(type)) mapped = "URL"
+  else if (type === "EmailStr") mapped = "Email"
+
+  return {type: mapped, choices: [], optional}
+}
+
+/**
+ * Find pydantic `BaseSettings` classes and map their fields to env names,
+ * honoring `env_prefix` and `alias` / `validation_alias`
+ */
+function extractPythonSchema(content) {
+  if (!PY_SCHEMA_HINT.test(content)) return []
+
+  const fields = []
+  const lines = content.split("\n")
+
+  for (let i = 0; i < lines.length; i++) {
+    const classMatch = /^(\s*)class\s+\w+\s*\(([^)]*)\)\s*:/.exec(lines[i])
+    if (!classMatch || !/BaseSettings/.test(classMatch[2])) continue
+
+    // Collect the class body — every line indented deeper than the class
+    const classIndent = classMatch[1].length
+    const body = []
+    let j = i + 1
+    for (; j < lines.length; j++) {
+      const line = lines[j]
+      if (!line.trim() || line.trim().startsWith("#")) continue
+      if (line.length - line.trimStart().length <= classIndent) break
+      body.push({line, lineNumber: j + 1})
+    }
+    i = j - 1
+
+    if (body.length === 0) continue
+    const indentOf = line => line.length - line.trimStart().length
+    const bodyIndent = indentOf(body[0].line)
+    const prefixMatch = /env_prefix\s*=\s*['"]([^'"]*)['"]/.exec(body.map(b => b.line).join("\n"))
+    const prefix = prefixMatch ? prefixMatch[1] : ""
+
+    for (const {line, lineNumber} of body) {
+      if (indentOf(line) !== bodyIndent) continue
+      const fieldMatch = /^\s*([A-Za-z]\w*)\s*:\s*([^=]+?)\s*(?:=\s*(.+))?$/.exec(line)
+      if (!fieldMatch || fieldMatch[1] === "model_config") continue
+
+      const [, fieldName, annotation, rawDefault] = fieldMatch
+      const field = describePythonType(annotation)
+      let alias = null
+
+      if (rawDefault) {
+        const fieldCall = /^Field\((.*)\)$/.exec(rawDefault.trim())
+        if (fieldCall) {
+          const kwargs = parsePythonKwargs(fieldCall[1])
+          const required = /^\s*\.\.\./.test(fieldCall[1])
+          const defaultExpr = kwargs.default
+          if (defaultExpr !== undefined) {
+            field.optional = true
+            field.defaultValue = parsePythonLiteral(defaultExpr)
+          } else if (!required && fieldCall[1].trim() && !/^\w+\s*=/.test(fieldCall[1].trim())) {
+            // Field("x", ...) — positional default
+            field.optional = true
+            field.defaultValue = parsePythonLiteral(fieldCall[1].split(",")[0])
+          }
+          if (kwargs.description) field.description = parsePythonLiteral(kwargs.description)
+          const aliasExpr = kwargs.validation_alias || kwargs.alias
+          if (aliasExpr) alias = parsePythonLiteral(aliasExpr) || null
+        } else {
+          field.optional = true
+          field.defaultValue = parsePythonLiteral(rawDefault)
+        }
+      }
+
+      if (field.defaultValue === undefined) delete field.defaultValue
+      const name = (alias || prefix + fieldName).toUpperCase()
+      if (ENV_NAME.test(name)) fields.push({name, line: lineNumber, ...field})
+    }
+  }
+
+  return fields
+}
+
+module.exports = {extractJsSchema, extractPythonSchema}
@@ -6,6 +6,10 @@ const boxen = require("boxen")
 const figures = require("figures")
 const fs = require("fs")
 const path = require("path")
+const {getConfig, getDefaultTarget} = require("./config")
+const {getValueHint, getCategory, isSensitiveKey} = require("./hints")
+const {parseEnvContent} = require("./dotenv")
+const {parseImport} = require("./formats")
 
 // ─── Design System ──────────────────────────────────────────────────────────────
 // Inspired by Vercel / OpenAI CLI aesthetics — clean, minimal, professional
@@ -63,6 +67,13 @@ function cb(hex, text) { return chalk.bold.hex(hex)(text) }
 function dim(text) { return chalk.hex(THEME.textMuted)(text) }
 function subtle(text) { return chalk.hex(THEME.textSubtle)(text) }
 
+// --yes: confirmations take their default answer instead of prompting
+let assumeYes = false
+
+function setAssumeYes(value) {
+  assumeYes = Boolean(value)
+}
+
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)) }
 
 function visLen(str) { return str.replace(/\x1b\[[0-9;]*m/g, "").length }
@@ -89,51 +100,6 @@ function sectionLine(title, width = 48) {
   return `  ${cb(THEME.text, title)} ${subtle(SYM.dash.repeat(dashCount))}`
 }
 
-// ─── Smart Value Hints ──────────────────────────────────────────────────────────
-
-const VALUE_HINTS = [
-  {test: /^(DATABASE_URL|DB_URL|POSTGRES_URL)$/i, type: "URL", hint: "Database connection string"},
-  {test: /^(MONGO_URI|MONGODB_URI)$/i, type: "URL", hint: "MongoDB connection string"},
-  {test: /^(REDIS_URL|REDIS_URI)$/i, type: "URL", hint: "Redis connection string"},
-  {test: /^(NEXT_PUBLIC_|REACT_APP_|VITE_)?(API_URL|BASE_URL|APP_URL|SITE_URL|SERVER_URL|BACKEND_URL)$/i, type: "URL", hint: "HTTP endpoint"},
-  {test: /(SUPABASE_URL)$/i, type: "URL", hint: "Supabase project URL"},
-  {test: /PORT$/i, type: "Number", hint: "Port number"},
-  {test: /(SECRET|TOKEN|API_KEY|PRIVATE_KEY|ACCESS_KEY|ANON_KEY|SERVICE_ROLE_KEY)$/i, type: "Secret", hint: "Sensitive — hidden input"},
-  {test: /PASSWORD|PASS$/i, type: "Secret", hint: "Password — hidden input"},
-  {test: /(SMTP_HOST|MAIL_HOST|EMAIL_HOST)$/i, type: "Host", hint: "Mail server hostname"},
-  {test: /(SMTP_PORT|MAIL_PORT)$/i, type: "Number", hint: "Mail port"},
-  {test: /(SMTP_USER|MAIL_USER|EMAIL_USER|MAIL_FROM)$/i, type: "Email", hint: "Email address"},
-  {test: /(S3_BUCKET|AWS_BUCKET|BUCKET_NAME)$/i, type: "String", hint: "Bucket name"},
-  {test: /(AWS_REGION|REGION)$/i, type: "Region", hint: "Cloud region"},
-  {test: /(DEBUG|VERBOSE|LOG_LEVEL)$/i, type: "Flag", hint: "true / false"},
-  {test: /(NEXT_PUBLIC_)/, type: "Public", hint: "Exposed to browser"},
-  {test: /(REACT_APP_)/, type: "Public", hint: "Exposed to browser"},
-  {test: /(VITE_)/, type: "Public", hint: "Exposed to browser"},
-]
-
-function getValueHint(keyName) {
-  for (const rule of VALUE_HINTS) {
-    if (rule.test.test(keyName)) return rule
-  }
-  return null
-}
-
-// ─── Category Detection ─────────────────────────────────────────────────────────
-
-function getCategory(varName) {
-  if (/^DATABASE|^DB_|^MONGO|^POSTGRES|^MYSQL|^REDIS|^SUPABASE/.test(varName)) return "Database"
-  if (/^NEXT_PUBLIC_/.test(varName)) return "Next.js (Public)"
-  if (/^REACT_APP_/.test(varName)) return "React (Public)"
-  if (/^VITE_/.test(varName)) return "Vite (Public)"
-  if (/^AWS_|^S3_/.test(varName)) return "AWS"
-  if (/^SMTP_|^MAIL_|^EMAIL_/.test(varName)) return "Email"
-  if (/^STRIPE_/.test(varName)) return "Stripe"
-  if (/^FIREBASE_/.test(varName)) return "Firebase"
-  if (/^AUTH_|^JWT_|^SESSION_/.test(varName)) return "Auth"
-  if (/^SENTRY_/.test(varName)) return "Sentry"
-  return null
-}
-
 // ─── Inline Help ────────────────────────────────────────────────────────────────
 
 function inlineHelp() {
@@ -142,6 +108,7 @@ function inlineHelp() {
     cb(THEME.textSecondary, "back"),
     cb(THEME.yellow, "clear"),
     cb(THEME.textSecondary, "list"),
+    cb(THEME.textSecondary, "where"),
     cb(THEME.red, "exit"),
   ]
   return `  ${subtle("Commands:")} ${cmds.join(subtle(" · "))}  ${subtle("Enter = keep  ? = help")}`
@@ -160,10 +127,11 @@ function commandPanel() {
     `    ${pad(cb(THEME.accent, "back"), w)}${dim("Go to previous variable")}`,
     `    ${pad(cb(THEME.yellow, "clear"), w)}${dim("Set value to empty string")}`,
     `    ${pad(cb(THEME.textSecondary, "list"), w)}${dim("Show remaining variables")}`,
+    `    ${pad(cb(THEME.textSecondary, "where"), w)}${dim("Show code around each usage")}`,
     `    ${pad(cb(THEME.textSecondary, "skipall"), w)}${dim("Skip all remaining")}`,
     `    ${pad(cb(THEME.red, "exit"), w)}${dim("End session")}`,
     "",
-    `    ${dim("Press")} ${cb(THEME.text, "Enter")} ${dim("without typing to keep current value")}`,
+    `    ${dim("Press")} ${cb(THEME.text, "Enter")} ${dim("without typing to keep the current value or code default")}`,
     `    ${dim("Type")} ${cb(THEME.text, "?")} ${dim("to show this panel")}`,
     "",
   ]
@@ -173,7 +141,7 @@ function commandPanel() {
 // ─── Banner ─────────────────────────────────────────────────────────────────────
 
 function showBanner() {
-  const version = "1.0.0"
+  const {version} = require("../package.json")
 
   const logo = [
     "  ███████╗███╗   ██╗██╗   ██╗",
@@ -202,34 +170,152 @@ function showBanner() {
 
 // ─── Scan Result Summary ────────────────────────────────────────────────────────
 
-function showScanResult(foundVars, existingEnv) {
+/**
+ * Coverage summary. With `layers` (see layers.js) coverage is computed against
+ * the merged value of every env file the mode loads instead of the target file alone.
+ */
+function showScanResult(foundVars, existingEnv, layers = null) {
   const hasUsableValue = key => {
-    if (!existingEnv.has(key)) return false
-    const value = existingEnv.get(key)
+    const value = layers
+      ? layers.values.has(key) ? layers.values.get(key).value : undefined
+      : existingEnv.get(key)
     return typeof value === "string" && value.trim().length > 0
   }
 
+  const keys = [...foundVars.keys()]
+  const requiredKeys = keys.filter(k => foundVars.get(k).required !== false)
+  const optionalKeys = keys.filter(k => foundVars.get(k).required === false)
+
   const total = foundVars.size
-  const alreadySet = [...foundVars.keys()].filter(hasUsableValue).length
+  const alreadySet = keys.filter(hasUsableValue).length
   const missing = total - alreadySet
-  const pct = total > 0 ? Math.round((alreadySet / total) * 100) : 0
-  const pctColor = pct >= 80 ? THEME.green : pct >= 50 ? THEME.yellow : THEME.red
+  const requiredSet = requiredKeys.filter(hasUsableValue).length
+  const optionalSet = optionalKeys.filter(hasUsableValue).length
+  const missingRequired = requiredKeys.length - requiredSet
+
+  const coverageLine = (label, done, count) => {
+    const pct = count > 0 ? Math.round((done / count) * 100) : 100
+    const pctColor = pct >= 80 ? THEME.green : pct >= 50 ? THEME.yellow : THEME.red
+    return `    ${pad(c(THEME.textSecondary, label), 13)}${progressBar(done, count)}  ` +
+      `${cb(pctColor, pct + "%")} ${dim(`${done}/${count}`)}`
+  }
 
   console.log(sectionLine("Scan Results"))
   console.log("")
+  if (layers) {
+    const loaded = layers.files
+      .map(({file, exists}) => (exists ? c(THEME.textSecondary, file) : subtle(file)))
+      .join(subtle(` ${SYM.triSmall} `))
+    console.log(`    ${c(THEME.textSecondary, "Mode")}         ${cb(THEME.text, layers.mode)}  ${dim(`(${layers.preset})`)}`)
+    console.log(`    ${c(THEME.textSecondary, "Layers")}       ${loaded}`)
+    console.log("")
+  }
   console.log(`    ${c(THEME.textSecondary, "Total")}        ${cb(THEME.text, String(total))}`)
   console.log(`    ${c(THEME.green, "Set")}          ${cb(THEME.green, String(alreadySet))}`)
-  console.log(`    ${c(THEME.red, "Missing")}      ${cb(THEME.red, String(missing))}`)
+  console.log(`    ${c(THEME.red, "Missing")}      ${cb(THEME.red, String(missing))}` +
+    (missing > 0 ? `  ${dim(`${missingRequired} required ${SYM.bullet} ${missing - missingRequired} optional`)}` : ""))
+  console.log("")
+  console.log(coverageLine("Required", requiredSet, requiredKeys.length))
+  if (optionalKeys.length > 0) {
+    console.log(coverageLine("Optional", optionalSet, optionalKeys.length))
+  }
+  console.log("")
+
+  return {total, alreadySet, missing, missingRequired}
+}
+
+// ─── Unused Keys ────────────────────────────────────────────────────────────────
+
+/**
+ * List keys that env files define but no code references, then let the user
+ * pick which ones to remove. Returns the selected keys (may be empty).
+ */
+async function askPruneUnused(unused, title = "Unused Keys") {
+  if (unused.length === 0) return []
+
+  console.log(sectionLine(title))
+  console.log("")
+  console.log(dim(`  ${unused.length} key${unused.length > 1 ? "s are" : " is"} defined but never referenced in code:`))
+  console.log("")
+
+  const width = Math.max(...unused.map(u => u.key.length)) + 2
+  unused.forEach(({key, files}) => {
+    console.log(`    ${c(THEME.yellow, SYM.ring)} ${pad(c(THEME.text, key), width)}${dim(files.join(", "))}`)
+  })
+  console.log("")
+
+  if (assumeYes) return []
+
+  const {review} = await inquirer.prompt([{
+    type: "confirm",
+    name: "review",
+    message: cb(THEME.textSecondary, "Remove some of them?"),
+    default: false,
+    prefix: c(THEME.accent, "  ?"),
+  }])
+
+  if (!review) {
+    console.log("")
+    return []
+  }
+
+  const {keys} = await inquirer.prompt([{
+    type: "checkbox",
+    name: "keys",
+    message: cb(THEME.textSecondary, "Select keys to remove"),
+    choices: unused.map(({key, files}) => ({
+      name: `${key}  ${dim(files.join(", "))}`,
+      value: key,
+      short: key,
+    })),
+    pageSize: 15,
+    prefix: c(THEME.accent, "  ?"),
+  }])
+
   console.log("")
-  console.log(`    ${progressBar(alreadySet, total)}  ${cb(pctColor, pct + "%")} ${dim("coverage")}`)
+  return keys
+}
+
+// ─── Environment Mode ───────────────────────────────────────────────────────────
+
+/**
+ * Ask which mode's env files to merge (development, production, …).
+ * Returns the mode name, or null to look at the target file alone.
+ */
+async function askLayerMode(modes) {
+  // "Target file only" — --yes never resolves values across layered files
+  if (assumeYes) return null
+
+  const choices = [...new Set(["development", "production", ...modes])].map(mode => ({
+    name: `  ${c(THEME.accent, SYM.triSmall)} ${cb(THEME.text, mode)}  ${dim(modes.includes(mode) ? "has own files" : "shared files only")}`,
+    value: mode,
+    short: mode,
+  }))
+  choices.push({
+    name: `  ${c(THEME.textMuted, SYM.ring)} Target file only`,
+    value: null,
+    short: "Target file only",
+  })
+
+  console.log(sectionLine("Environment"))
   console.log("")
 
-  return {total, alreadySet, missing}
+  const {mode} = await inquirer.prompt([{
+    type: "list",
+    name: "mode",
+    message: cb(THEME.textSecondary, "Resolve values for mode"),
+    choices,
+    pageSize: 10,
+    prefix: c(THEME.accent, "  ?"),
+  }])
+
+  console.log("")
+  return mode
 }
 
 // ─── Mode Selector ──────────────────────────────────────────────────────────────
 
-async function askMode(missingCount, alreadySetCount) {
+async function askMode(missingCount, alreadySetCount, missingRequiredCount = missingCount) {
   console.log(sectionLine("Action"))
   console.log("")
 
@@ -242,6 +328,13 @@ async function askMode(missingCount, alreadySetCount) {
     })
   }
 
+  if (missingRequiredCount > 0 && missingRequiredCount < missingCount) {
+    choices.push({
+      name: `  ${c(THEME.red, SYM.dot)} Fill required only  ${dim("(" + missingRequiredCount + ")")}`,
+      value: "required",
+    })
+  }
+
   if (alreadySetCount > 0) {
     const editLabel = missingCount > 0 ? "Edit all variables" : "Edit existing variables"
     const editCount = missingCount > 0 ? missingCount + alreadySetCount : alreadySetCount
@@ -296,7 +389,7 @@ async function askEnvFile(cwd) {
   if (allFiles.length > 0) {
     allFiles.forEach(f => {
       const isExample = f.includes("example") || f.includes("sample") || f.includes("template")
-      const tagText = isExample ? "template" : "exists"
+      const tagText = isExample ? "template" : f.endsWith(".enc") ? "encrypted" : "exists"
       choices.push({
         name: `  ${c(THEME.green, SYM.check)} ${cb(THEME.text, f)}  ${dim(tagText)}`,
         value: f,
@@ -304,7 +397,8 @@ async function askEnvFile(cwd) {
     })
   }
 
-  const missingStandard = WRITABLE_ENV_FILES.filter(f => !allFiles.includes(f))
+  const writable = [...new Set(WRITABLE_ENV_FILES.concat(getConfig().envFiles))]
+  const missingStandard = writable.filter(f => !allFiles.includes(f))
   if (missingStandard.length > 0) {
     if (choices.length > 0) {
       choices.push(new inquirer.Separator(subtle("    " + SYM.dash.repeat(30))))
@@ -317,6 +411,15 @@ async function askEnvFile(cwd) {
     })
   }
 
+  // Configured target goes in the list even if it's not a standard name
+  const configuredTarget = getDefaultTarget(cwd)
+  if (configuredTarget && !choices.some(ch => ch.value === configuredTarget)) {
+    choices.unshift({
+      name: `  ${c(THEME.textSubtle, "+")} ${c(THEME.textSecondary, configuredTarget)}  ${dim("create new")}`,
+      value: configuredTarget,
+    })
+  }
+
   choices.push({name: `  ${c(THEME.textMuted, SYM.ellipsis)} Custom path`, value: "custom"})
 
   const {envFile} = await inquirer.prompt([{
@@ -324,6 +427,7 @@ async function askEnvFile(cwd) {
     name: "envFile",
     message: cb(THEME.textSecondary, "Write to"),
     choices,
+    default: configuredTarget || undefined,
     pageSize: 12,
     prefix: c(THEME.accent, "  ?"),
   }])
@@ -348,7 +452,65 @@ async function askEnvFile(cwd) {
 
 // ─── Interactive Prompt Loop ────────────────────────────────────────────────────
 
-async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
+/**
+ * Print the source lines around every usage of a variable
+ */
+function showUsages(varName, entry, cwd) {
+  const locations = entry ? entry.locations : []
+  if (locations.length === 0) {
+    console.log(dim(`    No recorded usages of ${varName}.`))
+    console.log("")
+    return
+  }
+
+  const CONTEXT = 2
+  const fileCache = new Map()
+  const readLines = file => {
+    if (!fileCache.has(file)) {
+      try {
+        fileCache.set(file, fs.readFileSync(path.resolve(cwd, file), "utf-8").split("\n"))
+      } catch {
+        fileCache.set(file, null)
+      }
+    }
+    return fileCache.get(file)
+  }
+
+  for (const loc of locations) {
+    console.log("")
+    console.log(`    ${c(THEME.accent, `${loc.file}:${loc.line}:${loc.column}`)}`)
+
+    const lines = readLines(loc.file)
+    if (!lines) {
+      console.log(dim("      (file not readable)"))
+      continue
+    }
+
+    const from = Math.max(1, loc.line - CONTEXT)
+    const to = Math.min(lines.length, loc.line + CONTEXT)
+    const width = String(to).length
+    for (let n = from; n <= to; n++) {
+      const num = String(n).padStart(width)
+      const text = lines[n - 1].replace(/\r$/, "")
+      if (n === loc.line) {
+        console.log(`    ${c(THEME.accent, SYM.triSmall)} ${c(THEME.textSecondary, num)} ${subtle(SYM.bar)} ${c(THEME.text, text)}`)
+      } else {
+        console.log(`      ${subtle(num)} ${subtle(SYM.bar)} ${dim(text)}`)
+      }
+    }
+  }
+  console.log("")
+}
+
+/**
+ * Walk through variables one card at a time.
+ * options: { cwd, targetFile, layers } — `layers` from resolveLayers adds the
+ * effective value and the file it comes from to each card
+ * onSetValue(key, value) may return "abort" to end the session without saving
+ * the value, or "reload" to ask for the same variable again.
+ */
+async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue, options = {}) {
+  const cwd = options.cwd || process.cwd()
   const results = new Map()
   const varList = [...varsToFill].sort()
   const total = varList.length
@@ -361,10 +523,13 @@ async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
   for (let i = 0; i < varList.length; i++) {
     const varName = varList[i]
     const currentValue = existingEnv.get(varName) || ""
-    const locations = foundVars.get(varName)
-    const secretLike = isSensitiveKey(varName)
+    const entry = foundVars.get(varName)
+    const locations = entry && entry.files
+    const codeDefault = entry && entry.defaults.size > 0 ? [...entry.defaults][0] : ""
+    const schema = entry && entry.schema
+    const secretLike = isSensitiveKey(varName) || (!!schema && schema.type === "Secret")
     const stepNum = i + 1
-    const hint = getValueHint(varName)
+    const hint = getValueHint(varName, schema)
 
     // ─── Category Header ─────────────────────────────
     const category = getCategory(varName)
@@ -380,8 +545,9 @@ async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
     const cardLines = []
 
     // Header line: name + counter
+    const optionalTag = entry && entry.required === false ? `  ${dim("optional")}` : ""
     cardLines.push(
-      `${cb(THEME.text, varName)}  ${subtle(`${stepNum}/${total}`)}  ${subtle(pct + "%")}`,
+      `${cb(THEME.text, varName)}  ${subtle(`${stepNum}/${total}`)}  ${subtle(pct + "%")}${optionalTag}`,
     )
 
     // Progress bar
@@ -393,11 +559,20 @@ async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
       cardLines.push(`${c(typeColor, hint.type)} ${subtle(SYM.triSmall)} ${dim(hint.hint)}`)
     }
 
-    // Source files
-    if (locations && locations.size > 0) {
-      const files = [...locations].slice(0, 3)
-      const extra = locations.size > 3 ? dim(` +${locations.size - 3} more`) : ""
-      cardLines.push(`${dim("in")} ${files.map(f => c(THEME.textSecondary, f)).join(dim(", "))}${extra}`)
+    // Source locations
+    const usages = entry && entry.locations.length > 0
+      ? entry.locations.map(l => `${l.file}:${l.line}`)
+      : [...(locations || [])]
+    if (usages.length > 0) {
+      const extra = usages.length > 3 ? dim(` +${usages.length - 3} more`) : ""
+      cardLines.push(`${dim("in")} ${usages.slice(0, 3).map(f => c(THEME.textSecondary, f)).join(dim(", "))}${extra}`)
+    }
+
+    // Default from code
+    if (codeDefault) {
+      const others = entry.defaults.size > 1 ? dim(` +${entry.defaults.size - 1} other`) : ""
+      const shown = secretLike ? maskValue(codeDefault) : c(THEME.textSecondary, codeDefault)
+      cardLines.push(`${dim("default:")} ${shown}${others}`)
     }
 
     // Current value
@@ -407,6 +582,15 @@ async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
       cardLines.push(`${statusDot(THEME.yellow)} ${dim("not set")}`)
     }
 
+    // Effective value across layered env files
+    const effective = options.layers && options.layers.values.get(varName)
+    if (effective && effective.file !== options.targetFile) {
+      const overrides = currentValue && options.layers.files.findIndex(l => l.file === effective.file) <
+        options.layers.files.findIndex(l => l.file === options.targetFile)
+      const label = overrides ? c(THEME.yellow, "overridden by") : dim("effective from")
+      cardLines.push(`${statusDot(overrides ? THEME.yellow : THEME.cyan)} ${label} ${c(THEME.textSecondary, effective.file)}${dim(":")} ${dim(maskValue(effective.value))}`)
+    }
+
     console.log("")
     console.log(boxen(cardLines.join("\n"), {
       padding: {top: 0, bottom: 0, left: 1, right: 1},
@@ -426,7 +610,7 @@ async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
         mask: secretLike ? "•" : undefined,
         name: "value",
         message: cb(THEME.textSecondary, secretLike ? "Secret" : "Value"),
-        default: currentValue || undefined,
+        default: currentValue || codeDefault || undefined,
         prefix: promptIcon,
       }])
 
@@ -458,6 +642,12 @@ async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
         continue
       }
 
+      // ─── Command: where ─────────────────────────────
+      if (cmd === "where") {
+        showUsages(varName, entry, cwd)
+        continue
+      }
+
       // ─── Command: list ──────────────────────────────
       if (cmd === "list") {
         const remaining = varList.slice(i + 1)
@@ -518,7 +708,19 @@ async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
       const finalValue = cmd === "clear" ? "" : value
 
       if (typeof onSetValue === "function") {
-        await onSetValue(varName, finalValue)
+        const outcome = await onSetValue(varName, finalValue)
+        if (outcome === "abort") {
+          console.log(`  ${c(THEME.yellow, SYM.warn)} ${dim("Session ended — this value was not written.")}`)
+          console.log("")
+          exitRequested = true
+          break
+        }
+        if (outcome === "reload") {
+          // Their edit to this key won — show the card again with the reloaded value
+          i -= 1
+          lastCategory = null
+          break
+        }
       }
 
       results.set(varName, finalValue)
@@ -538,6 +740,20 @@ async function promptForValues(varsToFill, existingEnv, foundVars, onSetValue) {
   return results
 }
 
+/**
+ * Ask for one value without echoing it — `envsetter set KEY` in a terminal
+ */
+async function askHiddenValue(key) {
+  const {value} = await inquirer.prompt([{
+    type: "password",
+    name: "value",
+    mask: SYM.bullet,
+    message: cb(THEME.textSecondary, key),
+    prefix: c(THEME.accent, "  ?"),
+  }])
+  return value
+}
+
 // ─── Masking ────────────────────────────────────────────────────────────────────
 
 function maskValue(value) {
@@ -546,10 +762,6 @@ function maskValue(value) {
   return dim(value.substring(0, 3) + "••••" + value.substring(value.length - 2))
 }
 
-function isSensitiveKey(key) {
-  return /(SECRET|TOKEN|PASSWORD|PASS|KEY|PRIVATE|AUTH|CREDENTIAL)/i.test(key)
-}
-
 // ─── Final Summary ──────────────────────────────────────────────────────────────
 
 function showSummary(saved, envFilePath) {
@@ -576,6 +788,271 @@ function showSummary(saved, envFilePath) {
   console.log(lines)
 }
 
+// ─── Watch Mode ─────────────────────────────────────────────────────────────────
+
+/**
+ * A saved file started using variables the target file has no value for
+ */
+function showNewVariables(keys, foundVars, envFilePath) {
+  const time = new Date().toLocaleTimeString()
+  console.log("")
+  console.log(`  ${dim(time)}  ${c(THEME.yellow, SYM.warn)} ${c(THEME.yellow, `${keys.length} new variable${keys.length > 1 ? "s" : ""} without a value in ${envFilePath}`)}`)
+
+  const width = Math.max(...keys.map(k => k.length)) + 2
+  for (const key of keys) {
+    const entry = foundVars.get(key)
+    const [first] = entry.locations
+    const where = first ? `${first.file}:${first.line}` : [...entry.files].join(", ")
+    const optional = entry.required === false ? `  ${subtle("optional")}` : ""
+    console.log(`    ${c(THEME.yellow, SYM.ring)} ${pad(cb(THEME.text, key), width)}${dim(where)}${optional}`)
+  }
+  console.log("")
+}
+
+async function askFillNow(count) {
+  if (assumeYes) return true
+
+  const {fill} = await inquirer.prompt([{
+    type: "confirm",
+    name: "fill",
+    message: cb(THEME.textSecondary, count > 1 ? "Set them now?" : "Set it now?"),
+    default: true,
+    prefix: c(THEME.accent, "  ?"),
+  }])
+  return fill
+}
+
+// ─── Gitignore ──────────────────────────────────────────────────────────────────
+
+/**
+ * Warn about an env file git would pick up, and offer to ignore it.
+ * `status` comes from ignore.getGitStatus. Returns true to append `status.entry`.
+ */
+async function askGitignoreFix(status, envFilePath) {
+  const relFile = path.relative(status.root, path.resolve(envFilePath)).replace(/\\/g, "/")
+
+  if (status.tracked) {
+    console.log("")
+    console.log(boxen([
+      `${cb(THEME.red, `${SYM.warn}  ${relFile} is committed to git`)}`,
+      "",
+      c(THEME.text, "Its values stay in git history even once it is ignored."),
+      `${dim("Stop tracking it:")}  ${c(THEME.accent, `git rm --cached ${relFile}`)}`,
+      dim("and rotate every secret it has ever contained."),
+    ].join("\n"), {
+      padding: {top: 0, bottom: 0, left: 1, right: 1},
+      margin: {top: 0, bottom: 0, left: 1, right: 0},
+      borderStyle: "round",
+      borderColor: THEME.red,
+    }))
+  }
+
+  if (status.ignored) return false
+
+  const relGitignore = path.relative(status.root, status.gitignorePath).replace(/\\/g, "/")
+  console.log("")
+  console.log(`  ${c(THEME.yellow, SYM.warn)} ${c(THEME.yellow, `${cb(THEME.yellow, relFile)} is not ignored by git`)}`)
+  if (assumeYes) return true
+
+  const {add} = await inquirer.prompt([{
+    type: "confirm",
+    name: "add",
+    message: cb(THEME.textSecondary, `Add ${status.entry} to ${relGitignore}?`),
+    default: true,
+    prefix: c(THEME.accent, "  ?"),
+  }])
+  return add
+}
+
+// ─── External Changes ───────────────────────────────────────────────────────────
+
+/**
+ * The env file changed on disk since it was read — show how, then ask what to do.
+ * `changes` comes from writer.findExternalChanges, `pendingKeys` are about to be written.
+ * Returns "reload" (their edits win), "merge" (write mine on top) or "abort".
+ */
+async function askExternalChange(envFilePath, changes, pendingKeys) {
+  const pending = new Set(pendingKeys)
+  const conflicts = changes.filter(ch => pending.has(ch.key))
+
+  console.log("")
+  console.log(sectionLine("File Changed"))
+  console.log("")
+  console.log(`  ${c(THEME.yellow, SYM.warn)} ${c(THEME.yellow, `${envFilePath} was modified outside this session`)}`)
+  console.log("")
+
+  if (changes.length === 0) {
+    console.log(dim("    Only comments or formatting changed."))
+  } else {
+    const width = Math.max(...changes.map(ch => ch.key.length)) + 2
+    changes.slice(0, 15).forEach(ch => {
+      const mark = ch.type === "added" ? c(THEME.green, "+") : ch.type === "removed" ? c(THEME.red, "−") : c(THEME.yellow, "~")
+      const detail = ch.type === "changed"
+        ? `${maskValue(ch.before)} ${subtle(SYM.arrow)} ${maskValue(ch.after)}`
+        : maskValue(ch.type === "added" ? ch.after : ch.before)
+      const conflict = pending.has(ch.key) ? `  ${c(THEME.red, "conflicts with your value")}` : ""
+      console.log(`    ${mark} ${pad(c(THEME.text, ch.key), width)}${detail}${conflict}`)
+    })
+    if (changes.length > 15) console.log(dim(`    +${changes.length - 15} more`))
+  }
+  console.log("")
+
+  if (assumeYes) return "reload"
+
+  const {action} = await inquirer.prompt([{
+    type: "list",
+    name: "action",
+    message: cb(THEME.textSecondary, "How should envsetter continue?"),
+    choices: [
+      {
+        name: `  ${c(THEME.accent, SYM.triSmall)} Reload  ${dim(conflicts.length > 0 ? "keep their edits, re-ask conflicting keys" : "keep their edits and continue")}`,
+        value: "reload",
+        short: "Reload",
+      },
+      {
+        name: `  ${c(THEME.purple, SYM.triSmall)} Merge   ${dim(conflicts.length > 0 ? "keep their edits, my values win on conflicts" : "keep their edits and write mine on top")}`,
+        value: "merge",
+        short: "Merge",
+      },
+      {
+        name: `  ${c(THEME.red, SYM.cross)} Abort   ${dim("write nothing more")}`,
+        value: "abort",
+        short: "Abort",
+      },
+    ],
+    prefix: c(THEME.accent, "  ?"),
+  }])
+
+  console.log("")
+  return action
+}
+
+// ─── History ────────────────────────────────────────────────────────────────────
+
+function formatAge(date) {
+  if (!date) return "unknown time"
+  const seconds = Math.round((Date.now() - date.getTime()) / 1000)
+  if (seconds < 60) return "just now"
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`
+  return `${Math.floor(seconds / 86400)} d ago`
+}
+
+function readValues(filePath) {
+  try {
+    return parseEnvContent(fs.readFileSync(filePath, "utf-8"))
+  } catch {
+    return new Map()
+  }
+}
+
+/**
+ * One-line description of a saved version — when it was taken and how its
+ * keys differ from the file as it is now (+ only in the backup, − only now, ~ changed)
+ */
+function describeVersion(version, currentValues) {
+  const when = version.date
+    ? `${version.date.toLocaleString()}  ${dim(`(${formatAge(version.date)})`)}`
+    : version.id
+
+  if (version.created) return `${when}  ${dim("before the file was created")}`
+
+  const saved = readValues(version.path)
+  let added = 0
+  let changed = 0
+  for (const [key, value] of saved) {
+    if (!currentValues.has(key)) added++
+    else if (currentValues.get(key) !== value) changed++
+  }
+  const removed = [...currentValues.keys()].filter(k => !saved.has(k)).length
+
+  const diff = [
+    added ? c(THEME.green, `+${added}`) : null,
+    removed ? c(THEME.red, `−${removed}`) : null,
+    changed ? c(THEME.yellow, `~${changed}`) : null,
+  ].filter(Boolean).join(" ")
+
+  return `${when}  ${dim(`${saved.size} key${saved.size !== 1 ? "s" : ""}`)}  ${diff || dim("same as current")}`
+}
+
+/**
+ * Print the saved versions of every env file (from history.listHistory)
+ */
+function showHistory(files) {
+  console.log(sectionLine("History"))
+  console.log("")
+
+  if (files.length === 0) {
+    console.log(dim("  No saved versions yet. envsetter backs up a file before it first changes it."))
+    console.log("")
+    return
+  }
+
+  for (const {file, fullPath, versions} of files) {
+    const current = readValues(fullPath)
+    console.log(`  ${c(THEME.accent, SYM.triSmall)} ${cb(THEME.text, file)}  ${dim(`${versions.length} version${versions.length > 1 ? "s" : ""}`)}`)
+    versions.forEach(version => {
+      console.log(`    ${statusDot(THEME.textSubtle)} ${describeVersion(version, current)}`)
+    })
+    console.log("")
+  }
+}
+
+/**
+ * Pick a file and one of its saved versions to restore.
+ * Returns { entry, version } or null when cancelled.
+ */
+async function askRestoreVersion(files) {
+  if (files.length === 0) {
+    showHistory(files)
+    return null
+  }
+
+  let entry = files[0]
+  if (files.length > 1) {
+    const answer = await inquirer.prompt([{
+      type: "list",
+      name: "entry",
+      message: cb(THEME.textSecondary, "Restore which file"),
+      choices: files.map(f => ({
+        name: `  ${c(THEME.accent, SYM.triSmall)} ${cb(THEME.text, f.file)}  ${dim(`${f.versions.length} version${f.versions.length > 1 ? "s" : ""}`)}`,
+        value: f,
+        short: f.file,
+      })),
+      pageSize: 15,
+      prefix: c(THEME.accent, "  ?"),
+    }])
+    entry = answer.entry
+  }
+
+  const current = readValues(entry.fullPath)
+  const {version} = await inquirer.prompt([{
+    type: "list",
+    name: "version",
+    message: cb(THEME.textSecondary, `Restore ${entry.file} to`),
+    choices: entry.versions.map(v => ({
+      name: `  ${describeVersion(v, current)}`,
+      value: v,
+      short: v.date ? v.date.toLocaleString() : v.id,
+    })),
+    pageSize: 15,
+    prefix: c(THEME.accent, "  ?"),
+  }])
+
+  const {confirm} = await inquirer.prompt([{
+    type: "confirm",
+    name: "confirm",
+    message: cb(THEME.textSecondary, version.created
+      ? `Delete ${entry.file}? It did not exist before this version`
+      : `Replace ${entry.file} with this version?`),
+    default: true,
+    prefix: c(THEME.accent, "  ?"),
+  }])
+
+  console.log("")
+  return confirm ? {entry, version} : null
+}
+
 // ─── Folder Picker ──────────────────────────────────────────────────────────────
 
 function askFolder(folders) {
@@ -622,40 +1099,41 @@ function askFolder(folders) {
 
 // ─── Bulk Paste ─────────────────────────────────────────────────────────────────
 
+/**
+ * Parse pasted content — dotenv, JSON, YAML, docker-compose, Kubernetes Secrets,
+ * `heroku config` or `printenv` output, detected automatically (see formats.parseImport).
+ * Returns { format, values: Map of key→value, errors: [{ line, message }] }
+ */
 function parseBulkInput(raw) {
-  const result = new Map()
-  const lines = raw.split(/\r?\n/)
-
-  for (const line of lines) {
-    const trimmed = line.trim()
-    if (!trimmed || trimmed.startsWith("#") || trimmed.startsWith("//")) continue
-
-    const eqIndex = trimmed.indexOf("=")
-    if (eqIndex === -1) continue
-
-    const key = trimmed.substring(0, eqIndex).trim()
-    let value = trimmed.substring(eqIndex + 1).trim()
-
-    if (!key || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) continue
+  return parseImport(raw)
+}
 
-    if (
-      (value.startsWith('"') && value.endsWith('"')) ||
-      (value.startsWith("'") && value.endsWith("'"))
-    ) {
-      value = value.slice(1, -1)
-    }
+/**
+ * Print dotenv syntax errors with their line numbers
+ */
+function showParseErrors(errors, label) {
+  if (errors.length === 0) return
 
-    const commentIdx = value.indexOf(" #")
-    if (commentIdx > -1) {
-      value = value.substring(0, commentIdx).trim()
-    }
+  console.log(`  ${c(THEME.yellow, SYM.warn)} ${c(THEME.yellow, `${errors.length} syntax error${errors.length > 1 ? "s" : ""} in ${label}`)}`)
+  errors.slice(0, 10).forEach(err => {
+    console.log(`    ${subtle(`line ${err.line}`.padEnd(9))} ${dim(err.message)}`)
+  })
+  if (errors.length > 10) console.log(dim(`    +${errors.length - 10} more`))
+  console.log("")
+}
 
-    result.set(key, value)
-  }
-  return result
+/**
+ * Read pasted content, show what was found and confirm before writing.
+ * `content` skips the paste step (envsetter import); options.assumeYes skips
+ * the confirmation when there's no terminal to answer it.
+ * Returns a Map of key→value, or null when cancelled.
+ */
+async function askBulkPaste(content = null, options = {}) {
+  if (content === null) content = await readPastedContent()
+  return confirmBulkValues(content, options)
 }
 
-async function askBulkPaste() {
+async function readPastedContent() {
   const readline = require("readline")
 
   console.log("")
@@ -667,7 +1145,7 @@ async function askBulkPaste() {
 
   const collectedLines = []
 
-  const content = await new Promise((resolve) => {
+  return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
@@ -698,7 +1176,7 @@ async function askBulkPaste() {
 
       collectedLines.push(line)
 
-      const varCount = parseBulkInput(collectedLines.join("\n")).size
+      const varCount = parseBulkInput(collectedLines.join("\n")).values.size
       console.log(dim(`     ${SYM.check} ${varCount} var${varCount !== 1 ? "s" : ""} detected`))
 
       if (timer) clearTimeout(timer)
@@ -712,17 +1190,21 @@ async function askBulkPaste() {
       resolve(collectedLines.join("\n"))
     })
   })
+}
 
+async function confirmBulkValues(content, options = {}) {
+  const label = options.label || "pasted content"
   if (!content || !content.trim()) {
-    console.log(dim("  No content pasted."))
+    console.log(dim(`  No content ${options.label ? "in " + label : "pasted"}.`))
     return null
   }
 
-  const parsed = parseBulkInput(content)
+  const {format, values: parsed, errors} = parseBulkInput(content)
+  showParseErrors(errors, label)
 
   if (parsed.size === 0) {
-    console.log(`  ${c(THEME.yellow, SYM.warn)} ${dim("No valid KEY=VALUE pairs found.")}`)
-    console.log(dim("  Expected format: KEY=value or KEY=\"value\""))
+    console.log(`  ${c(THEME.yellow, SYM.warn)} ${dim("No variables found.")}`)
+    console.log(dim("  Expected KEY=value lines, JSON, YAML, docker-compose, a Kubernetes Secret, heroku config or printenv output"))
     console.log("")
     return null
   }
@@ -734,6 +1216,10 @@ async function askBulkPaste() {
   console.log("")
   console.log(sectionLine(`Found ${keys.length} variable${keys.length > 1 ? "s" : ""}`))
   console.log("")
+  if (format !== "dotenv") {
+    console.log(`    ${dim("Read as")} ${c(THEME.cyan, format)}`)
+    console.log("")
+  }
 
   publicKeys.forEach(k => {
     const val = parsed.get(k)
@@ -745,6 +1231,8 @@ async function askBulkPaste() {
   })
   console.log("")
 
+  if (options.assumeYes || assumeYes) return parsed
+
   const {confirm} = await inquirer.prompt([{
     type: "confirm",
     name: "confirm",
@@ -762,12 +1250,24 @@ async function askBulkPaste() {
 }
 
 module.exports = {
+  setAssumeYes,
   showBanner,
   showScanResult,
+  askPruneUnused,
+  askLayerMode,
   askMode,
   askEnvFile,
   askFolder,
   promptForValues,
   askBulkPaste,
+  showParseErrors,
   showSummary,
+  askExternalChange,
+  askGitignoreFix,
+  showHistory,
+  askRestoreVersion,
+  askHiddenValue,
+  maskValue,
+  showNewVariables,
+  askFillNow,
 }
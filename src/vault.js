@@ -0,0 +1,179 @@
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const {parseEnvDocument, parseEnvContent} = require("./dotenv")
+const {findRepoRoot} = require("./ignore")
+const {ensureStateDir, writeFileAtomic, backupOnce} = require("./history")
+const {renderEntry} = require("./writer")
+
+// ─── Encrypted Env Files ────────────────────────────────────────────────────────
+//
+// An encrypted file is a normal env file whose values are sealed one by one:
+//
+//   DATABASE_URL=enc:v1:<iv>:<ciphertext + auth tag>
+//
+// Key names, comments and layout stay readable, so a diff still shows which
+// variables changed. Values use AES-256-GCM with the key name as associated
+// data — a value moved to another key fails to decrypt.
+
+const TOKEN_PREFIX = "enc:v1:"
+const ENCRYPTED_EXT = ".enc"
+const KEY_FILE = "key"
+const KEY_ENV = "ENVSETTER_KEY"
+const ALGORITHM = "aes-256-gcm"
+
+function isEncryptedFile(filePath) {
+  return filePath.endsWith(ENCRYPTED_EXT)
+}
+
+function isEncryptedValue(value) {
+  return typeof value === "string" && value.startsWith(TOKEN_PREFIX)
+}
+
+function parseKey(text, source) {
+  const trimmed = text.trim()
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, "hex") : Buffer.from(trimmed, "base64")
+  if (key.length !== 32) throw new Error(`${source} must hold a 256-bit key (base64 or hex)`)
+  return key
+}
+
+/**
+ * Find the encryption key — $ENVSETTER_KEY first, then .envsetter/key at the
+ * repo root. With `create`, a missing key file is generated.
+ * Returns { key, source, created }
+ */
+function loadKey(cwd, create = false) {
+  if (process.env[KEY_ENV]) {
+    return {key: parseKey(process.env[KEY_ENV], KEY_ENV), source: KEY_ENV, created: false}
+  }
+
+  const root = findRepoRoot(cwd)
+  const keyPath = path.join(root, ".envsetter", KEY_FILE)
+  const source = path.relative(process.cwd(), keyPath) || keyPath
+  if (fs.existsSync(keyPath)) {
+    return {key: parseKey(fs.readFileSync(keyPath, "utf-8"), source), source, created: false}
+  }
+
+  if (!create) {
+    throw new Error(`No encryption key found — set ${KEY_ENV} or put the key in ${source}`)
+  }
+
+  ensureStateDir(root)
+  const key = crypto.randomBytes(32)
+  fs.writeFileSync(keyPath, key.toString("base64") + "\n", {encoding: "utf-8", mode: 0o600})
+  return {key, source, created: true}
+}
+
+function encryptValue(name, value, key) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+  cipher.setAAD(Buffer.from(name, "utf-8"))
+  const sealed = Buffer.concat([cipher.update(value, "utf-8"), cipher.final(), cipher.getAuthTag()])
+  return `${TOKEN_PREFIX}${iv.toString("base64")}:${sealed.toString("base64")}`
+}
+
+function decryptValue(name, token, key) {
+  const [ivText, sealedText] = token.substring(TOKEN_PREFIX.length).split(":")
+  try {
+    const sealed = Buffer.from(sealedText || "", "base64")
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivText, "base64"))
+    decipher.setAAD(Buffer.from(name, "utf-8"))
+    decipher.setAuthTag(sealed.subarray(sealed.length - 16))
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - 16)), decipher.final()]).toString("utf-8")
+  } catch {
+    throw new Error(`Could not decrypt ${name} — wrong key, or the value was modified`)
+  }
+}
+
+/**
+ * Decrypt every sealed value of an encrypted file.
+ * Returns a Map of key → plaintext; values that aren't sealed are kept as they are.
+ */
+function readEncryptedEnv(filePath, key) {
+  if (!fs.existsSync(filePath)) return new Map()
+  const values = new Map()
+  for (const [name, value] of parseEnvContent(fs.readFileSync(filePath, "utf-8"))) {
+    values.set(name, isEncryptedValue(value) ? decryptValue(name, value, key) : value)
+  }
+  return values
+}
+
+/**
+ * Seal values for writing into `filePath`. A value that didn't change keeps
+ * its existing ciphertext, so unchanged keys don't show up in diffs.
+ */
+function sealValues(filePath, newVars, key) {
+  const existing = fs.existsSync(filePath) ? parseEnvContent(fs.readFileSync(filePath, "utf-8")) : new Map()
+  const sealed = new Map()
+  for (const [name, value] of newVars) {
+    const previous = existing.get(name)
+    const unchanged = isEncryptedValue(previous) && decryptValue(name, previous, key) === value
+    sealed.set(name, unchanged ? previous : encryptValue(name, value, key))
+  }
+  return sealed
+}
+
+/**
+ * Rewrite every entry of an env file through `transform(name, value)`,
+ * keeping comments and layout
+ */
+function transformEnvFile(sourcePath, transform) {
+  const content = fs.readFileSync(sourcePath, "utf-8")
+  const eol = content.includes("\r\n") ? "\r\n" : "\n"
+  const doc = parseEnvDocument(content)
+  if (doc.errors.length > 0) {
+    const [first] = doc.errors
+    throw new Error(`${path.basename(sourcePath)}:${first.line} ${first.message}`)
+  }
+
+  const lines = []
+  let count = 0
+  for (const node of doc.nodes) {
+    if (node.type === "entry") {
+      lines.push(...renderEntry(node, transform(node.key, node.value)).split("\n"))
+      count += 1
+    } else {
+      lines.push(...doc.lines.slice(node.startLine - 1, node.endLine))
+    }
+  }
+  return {content: lines.join(eol).replace(/(\r?\n)+$/, "") + eol, count}
+}
+
+/**
+ * Encrypt a plaintext env file into `targetPath` (default: `<file>.enc`).
+ * Unchanged values keep the ciphertext already in the target.
+ * Returns { targetPath, count }
+ */
+function encryptEnvFile(sourcePath, key, targetPath = sourcePath + ENCRYPTED_EXT) {
+  const existing = fs.existsSync(targetPath) ? parseEnvContent(fs.readFileSync(targetPath, "utf-8")) : new Map()
+  const {content, count} = transformEnvFile(sourcePath, (name, value) => {
+    if (isEncryptedValue(value)) return value
+    const previous = existing.get(name)
+    if (isEncryptedValue(previous) && decryptValue(name, previous, key) === value) return previous
+    return encryptValue(name, value, key)
+  })
+
+  backupOnce(targetPath)
+  writeFileAtomic(targetPath, content)
+  return {targetPath, count}
+}
+
+/**
+ * Decrypt an encrypted env file. Returns { content, count } — the caller
+ * decides where plaintext goes.
+ */
+function decryptEnvFile(sourcePath, key) {
+  return transformEnvFile(sourcePath, (name, value) => (isEncryptedValue(value) ? decryptValue(name, value, key) : value))
+}
+
+module.exports = {
+  ENCRYPTED_EXT,
+  isEncryptedFile,
+  loadKey,
+  readEncryptedEnv,
+  sealValues,
+  encryptEnvFile,
+  decryptEnvFile,
+}
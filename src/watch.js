@@ -0,0 +1,142 @@
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const {
+  IGNORE_DIR_NAMES,
+  createScanContext,
+  scanCodebaseFiles,
+  isCodeFile,
+  scanFile,
+  mergeVars,
+  classifyVars,
+} = require("./scanner")
+
+// ─── Watch Mode ─────────────────────────────────────────────────────────────────
+//
+// The scan result of a folder is kept per file, so a saved file is re-read on
+// its own and the folder result is merged again from memory.
+
+const DEBOUNCE_MS = 200 // editors fire several events for one save
+
+/**
+ * Scan a folder and keep the result per file. `options.cache` as in scanCodebase.
+ * Resolves to {
+ *   vars: the merged scan result, same shape as scanCodebase,
+ *   fileCount,
+ *   update(filePaths): re-scan those files → { added: [keys], removed: [keys] },
+ * }
+ */
+async function createScanIndex(cwd, options = {}) {
+  const context = createScanContext(cwd)
+  // perFile: absolute path → Map of key → entry, kept up to date by update()
+  const {files, perFile} = await scanCodebaseFiles(cwd, options)
+
+  const scanOne = filePath => {
+    const fileVars = new Map()
+    if (fs.existsSync(filePath)) scanFile(fileVars, context, filePath)
+    if (fileVars.size > 0) perFile.set(filePath, fileVars)
+    else perFile.delete(filePath)
+  }
+
+  const merge = () => {
+    const foundVars = new Map()
+    for (const fileVars of perFile.values()) mergeVars(foundVars, fileVars)
+    return classifyVars(foundVars, cwd)
+  }
+
+  const index = {
+    vars: merge(),
+    fileCount: files.length,
+    update(filePaths) {
+      const before = index.vars
+      for (const filePath of filePaths) {
+        if (isCodeFile(cwd, filePath)) scanOne(filePath)
+      }
+      index.vars = merge()
+      return {
+        added: [...index.vars.keys()].filter(key => !before.has(key)),
+        removed: [...before.keys()].filter(key => !index.vars.has(key)),
+      }
+    },
+  }
+  return index
+}
+
+/**
+ * Call `onChange(filePaths)` with batches of absolute paths changed under `cwd`.
+ * Returns a function that stops watching.
+ */
+function watchFolder(cwd, onChange) {
+  const watchers = new Map() // dir → FSWatcher
+  const pending = new Set()
+  let timer = null
+
+  const notify = fullPath => {
+    pending.add(fullPath)
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      const batch = [...pending]
+      pending.clear()
+      onChange(batch)
+    }, DEBOUNCE_MS)
+  }
+
+  // macOS and Windows watch a whole tree natively. Elsewhere every folder
+  // gets its own watcher, so ignored trees such as node_modules cost nothing.
+  if (process.platform === "darwin" || process.platform === "win32") {
+    const watcher = fs.watch(cwd, {recursive: true}, (event, name) => {
+      if (name) notify(path.join(cwd, name.toString()))
+    })
+    return () => {
+      clearTimeout(timer)
+      watcher.close()
+    }
+  }
+
+  const watchDir = dir => {
+    if (watchers.has(dir)) return
+    let watcher
+    try {
+      watcher = fs.watch(dir, (event, name) => {
+        if (!name) return
+        const fullPath = path.join(dir, name.toString())
+        // A new folder needs its own watcher
+        if (event === "rename" && !IGNORE_DIR_NAMES.has(name.toString())) {
+          try {
+            if (fs.statSync(fullPath).isDirectory()) watchDir(fullPath)
+          } catch {
+            // deleted
+          }
+        }
+        notify(fullPath)
+      })
+    } catch {
+      return // gone already, or not readable
+    }
+    watcher.on("error", () => {
+      watcher.close()
+      watchers.delete(dir)
+    })
+    watchers.set(dir, watcher)
+
+    let entries = []
+    try {
+      entries = fs.readdirSync(dir, {withFileTypes: true})
+    } catch {
+      // not readable
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORE_DIR_NAMES.has(entry.name)) watchDir(path.join(dir, entry.name))
+    }
+  }
+
+  watchDir(path.resolve(cwd))
+  return () => {
+    clearTimeout(timer)
+    for (const watcher of watchers.values()) watcher.close()
+    watchers.clear()
+  }
+}
+
+module.exports = {createScanIndex, watchFolder}
@@ -2,6 +2,10 @@
 
 const fs = require("fs")
 const path = require("path")
+const crypto = require("crypto")
+const {parseEnvDocument, parseEnvContent} = require("./dotenv")
+const {writeFileAtomic, backupOnce} = require("./history")
+const {getCategory, getPlaceholder} = require("./hints")
 
 /**
  * Determine if a value needs to be quoted
@@ -12,53 +16,80 @@ function needsQuotes(value) {
   return /[\s#=\\$"'`!]/.test(value) || value.includes("\n")
 }
 
+/**
+ * Whether a value would be misread if written unquoted —
+ * a looser check than needsQuotes, used to keep existing unquoted lines unquoted
+ */
+function breaksUnquoted(value) {
+  return /^\s|\s$|[\n\r]|(^|\s)#|^["'`]/.test(value)
+}
+
 /**
  * Escape a value for .env format
+ * - `quote` keeps an existing quote style ("", '"', "'", "`") when the value allows it
+ * - `multiline` writes real newlines inside double quotes instead of \n
  */
-function formatValue(value) {
+function formatValue(value, quote = null, multiline = false) {
   if (!value && value !== "") return '""'
 
-  if (needsQuotes(value)) {
+  if (quote === null) quote = needsQuotes(value) ? '"' : ""
+  if (quote === "" && breaksUnquoted(value)) quote = '"'
+  if ((quote === "'" || quote === "`") && (value.includes(quote) || (!multiline && /[\n\r]/.test(value)))) {
+    quote = '"'
+  }
+
+  if (quote === '"') {
     // Use double quotes and escape internal double quotes and backslashes
-    const escaped = value
+    let escaped = value
       .replace(/\\/g, "\\\\")
       .replace(/"/g, '\\"')
-      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r")
+    if (!multiline) escaped = escaped.replace(/\n/g, "\\n")
     return `"${escaped}"`
   }
 
-  return value
+  return `${quote}${value}${quote}`
+}
+
+/**
+ * Rewrite one parsed entry with a new value, touching only the value part:
+ * indent, `export`, separator, trailing comment and quote style stay as they were
+ */
+function renderEntry(node, value) {
+  const multiline = node.endLine > node.startLine
+  const formatted = formatValue(value, node.quote, multiline)
+  // `KEY= # note` has no space left between value and comment — without one
+  // the comment would become part of the new value
+  const gap = formatted && node.trailing.startsWith("#") ? " " : ""
+  return node.head + formatted + gap + node.trailing
 }
 
 /**
  * Write env variables to file
  * - Preserves existing comments and structure
- * - Updates existing keys in place
+ * - Updates existing keys in place, changing only their value
  * - Appends new keys at the end
  */
 function writeEnvFile(envFilePath, newVars, existingEnv) {
   const fullPath = path.resolve(envFilePath)
   let lines = []
+  let eol = "\n"
   const updatedKeys = new Set()
 
   // Read existing file if it exists
   if (fs.existsSync(fullPath)) {
     const content = fs.readFileSync(fullPath, "utf-8")
-    lines = content.split("\n")
-
-    // Update existing lines in place
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim()
-      if (!line || line.startsWith("#")) continue
-
-      const eqIndex = line.indexOf("=")
-      if (eqIndex === -1) continue
+    if (content.includes("\r\n")) eol = "\r\n"
 
-      const key = line.substring(0, eqIndex).trim()
+    const doc = parseEnvDocument(content)
 
-      if (newVars.has(key)) {
-        lines[i] = `${key}=${formatValue(newVars.get(key))}`
-        updatedKeys.add(key)
+    // Update existing entries in place
+    for (const node of doc.nodes) {
+      if (node.type === "entry" && newVars.has(node.key)) {
+        lines.push(...renderEntry(node, newVars.get(node.key)).split("\n"))
+        updatedKeys.add(node.key)
+      } else {
+        lines.push(...doc.lines.slice(node.startLine - 1, node.endLine))
       }
     }
   }
@@ -84,70 +115,179 @@ function writeEnvFile(envFilePath, newVars, existingEnv) {
   }
 
   // Ensure file ends with newline
-  const finalContent = lines.join("\n").replace(/\n+$/, "") + "\n"
+  const finalContent = lines.join(eol).replace(/(\r?\n)+$/, "") + eol
 
-  // Write file
-  fs.writeFileSync(fullPath, finalContent, "utf-8")
+  // Back up once per session, then replace the file atomically
+  backupOnce(fullPath)
+  writeFileAtomic(fullPath, finalContent)
 
   return updatedKeys.size + appendKeys.length
 }
 
 /**
- * Ensure .gitignore includes the env file
+ * Remove keys from an env file
+ * - Deletes only the KEY=value lines (all of them for multiline values),
+ *   comments stay where they are
+ * - Collapses the blank-line runs left where a key was removed; blank lines
+ *   elsewhere are left alone
+ */
+function removeEnvKeys(envFilePath, keys) {
+  const fullPath = path.resolve(envFilePath)
+  if (!fs.existsSync(fullPath)) return 0
+
+  const toRemove = new Set(keys)
+  const content = fs.readFileSync(fullPath, "utf-8")
+  const eol = content.includes("\r\n") ? "\r\n" : "\n"
+  const doc = parseEnvDocument(content)
+  const kept = []
+  let removed = 0
+  let afterRemoved = false // only blank lines kept since the last removed entry
+
+  for (const node of doc.nodes) {
+    if (node.type === "entry" && toRemove.has(node.key)) {
+      removed += 1
+      afterRemoved = true
+      continue
+    }
+
+    // Don't stack blank lines where a key used to be
+    if (node.type === "blank" && afterRemoved) {
+      if (kept.length === 0 || kept[kept.length - 1].trim() === "") continue
+    } else if (node.type !== "blank") {
+      afterRemoved = false
+    }
+    kept.push(...doc.lines.slice(node.startLine - 1, node.endLine))
+  }
+
+  if (removed === 0) return 0
+
+  const finalContent = kept.join(eol).replace(/(\r?\n)+$/, "") + eol
+  backupOnce(fullPath)
+  writeFileAtomic(fullPath, finalContent)
+
+  return removed
+}
+
+/**
+ * Remember what an env file looked like when it was read, so later writes
+ * can tell whether someone else changed it in the meantime
+ */
+function snapshotEnvFile(envFilePath) {
+  const fullPath = path.resolve(envFilePath)
+  let content = null
+  let mtimeMs = null
+  try {
+    content = fs.readFileSync(fullPath, "utf-8")
+    mtimeMs = fs.statSync(fullPath).mtimeMs
+  } catch {
+    // missing file — snapshot says so
+  }
+
+  return {
+    path: fullPath,
+    mtimeMs,
+    hash: content === null ? null : crypto.createHash("sha256").update(content).digest("hex"),
+    values: content === null ? new Map() : parseEnvContent(content),
+  }
+}
+
+/**
+ * Compare a snapshot with the file on disk.
+ * Returns null when the file is unchanged, otherwise
+ * [{ key, type: "added" | "removed" | "changed", before, after }] —
+ * empty when only comments or formatting changed.
  */
-function ensureGitignore(envFilePath) {
-  const gitignorePath = path.resolve(".gitignore")
-  const envBasename = path.basename(envFilePath)
-
-  if (!fs.existsSync(gitignorePath)) return
-
-  const content = fs.readFileSync(gitignorePath, "utf-8")
-  const lines = content.split("\n").map(l => l.trim())
-
-  // Check if already ignored
-  const isIgnored = lines.some(line => {
-    if (line.startsWith("#")) return false
-    return (
-      line === envBasename ||
-      line === envFilePath ||
-      line === ".env*" ||
-      line === ".env"
-    )
-  })
-
-  if (!isIgnored) {
-    // Don't auto-modify, just warn â€” handled in UI
-    return false
+function findExternalChanges(snapshot) {
+  let mtimeMs = null
+  try {
+    mtimeMs = fs.statSync(snapshot.path).mtimeMs
+  } catch {
+    // deleted since the snapshot
   }
+  // Same mtime is trusted; a touched file is only "changed" if its content differs
+  if (mtimeMs === snapshot.mtimeMs) return null
 
-  return true
+  const current = snapshotEnvFile(snapshot.path)
+  if (current.hash === snapshot.hash) return null
+
+  const changes = []
+  for (const [key, after] of current.values) {
+    if (!snapshot.values.has(key)) changes.push({key, type: "added", before: null, after})
+    else if (snapshot.values.get(key) !== after) changes.push({key, type: "changed", before: snapshot.values.get(key), after})
+  }
+  for (const [key, before] of snapshot.values) {
+    if (!current.values.has(key)) changes.push({key, type: "removed", before, after: null})
+  }
+  return changes
 }
 
 /**
- * Sync keys (without values) to .env.example
+ * Append an entry to a .gitignore, creating the file if needed
+ */
+function addGitignoreEntry(gitignorePath, entry) {
+  let content = ""
+  if (fs.existsSync(gitignorePath)) content = fs.readFileSync(gitignorePath, "utf-8")
+  const eol = content.includes("\r\n") ? "\r\n" : "\n"
+
+  const prefix = content && !content.endsWith("\n") ? eol : ""
+  const comment = content.includes("# env files") ? "" : `${content ? eol : ""}# env files${eol}`
+  writeFileAtomic(gitignorePath, content + prefix + comment + entry + eol, 0o644)
+}
+
+const EXAMPLE_FILE = ".env.example"
+const MAX_USAGES = 3
+
+function categoryHeading(name) {
+  return `# ── ${name} ──`
+}
+
+/**
+ * Lines documenting one key in .env.example: the schema description, where the
+ * key is used and a safe placeholder value. Optional keys get a `# optional`
+ * marker, which the scanner reads back when classifying.
+ */
+function exampleEntryLines(key, entry) {
+  const lines = []
+  const schema = entry && entry.schema
+  if (schema && schema.description) lines.push(`# ${schema.description}`)
+
+  const usages = entry && entry.locations
+    ? entry.locations.filter(l => !path.basename(l.file).startsWith(".env")).map(l => `${l.file}:${l.line}`)
+    : []
+  if (usages.length > 0) {
+    const more = usages.length > MAX_USAGES ? ` (+${usages.length - MAX_USAGES} more)` : ""
+    lines.push(`# Used in ${usages.slice(0, MAX_USAGES).join(", ")}${more}`)
+  }
+
+  const placeholder = getPlaceholder(key, entry)
+  const marker = entry && entry.required === false ? " # optional" : ""
+  lines.push(`${key}=${placeholder ? formatValue(placeholder) : ""}${marker}`)
+  return lines
+}
+
+/**
+ * Sync keys (without real values) to the .env.example of a folder
  * - Creates .env.example if it doesn't exist
- * - Only appends keys that are not already present
+ * - Only adds keys that are not already present
+ * - New keys go under their category heading, reusing a heading the file already has
+ * - Each key gets its description, usages and a placeholder (see exampleEntryLines)
  * - Preserves existing comments and structure
  */
-function syncToEnvExample(keys) {
-  const examplePath = path.resolve(".env.example")
+function syncToEnvExample(folderPath, keys, foundVars = new Map()) {
+  const examplePath = path.join(path.resolve(folderPath), EXAMPLE_FILE)
   let existingKeys = new Set()
   let lines = []
+  let eol = "\n"
 
   if (fs.existsSync(examplePath)) {
     const content = fs.readFileSync(examplePath, "utf-8")
-    lines = content.split("\n")
+    if (content.includes("\r\n")) eol = "\r\n"
+    const doc = parseEnvDocument(content)
+    lines = doc.lines
 
     // Parse existing keys
-    for (const line of lines) {
-      const trimmed = line.trim()
-      if (!trimmed || trimmed.startsWith("#")) continue
-
-      const eqIndex = trimmed.indexOf("=")
-      if (eqIndex === -1) continue
-
-      const key = trimmed.substring(0, eqIndex).trim()
-      if (key) existingKeys.add(key)
+    for (const node of doc.nodes) {
+      if (node.type === "entry") existingKeys.add(node.key)
     }
   } else {
     // Create new file with a header
@@ -162,20 +302,50 @@ function syncToEnvExample(keys) {
   const keysToAdd = keys.filter(k => !existingKeys.has(k))
   if (keysToAdd.length === 0) return 0
 
-  // Add blank line separator if file doesn't end with one
-  if (lines.length > 0 && lines[lines.length - 1].trim() !== "") {
-    lines.push("")
+  const groups = new Map() // category → keys
+  for (const key of keysToAdd) {
+    const category = getCategory(key) || "General"
+    if (!groups.has(category)) groups.set(category, [])
+    groups.get(category).push(key)
   }
 
-  for (const key of keysToAdd) {
-    lines.push(`${key}=`)
+  const isHeading = line => /^#\s*──/.test(line.trim())
+  while (lines.length > 0 && lines[lines.length - 1].trim() === "") lines.pop()
+
+  for (const [category, groupKeys] of groups) {
+    const block = []
+    for (const key of groupKeys) block.push("", ...exampleEntryLines(key, foundVars.get(key)))
+
+    const headingIndex = lines.findIndex(line => line.trim() === categoryHeading(category))
+    if (headingIndex === -1) {
+      if (lines.length > 0) lines.push("")
+      lines.push(categoryHeading(category), ...block)
+      continue
+    }
+
+    // Insert at the end of the existing section, before the next heading
+    let insertAt = lines.findIndex((line, i) => i > headingIndex && isHeading(line))
+    if (insertAt === -1) insertAt = lines.length
+    while (insertAt > headingIndex + 1 && lines[insertAt - 1].trim() === "") insertAt--
+    lines.splice(insertAt, 0, ...block)
   }
 
   // Write file
-  const finalContent = lines.join("\n").replace(/\n+$/, "") + "\n"
-  fs.writeFileSync(examplePath, finalContent, "utf-8")
+  const finalContent = lines.join(eol).replace(/(\r?\n)+$/, "") + eol
+  // .env.example is committed and shared, unlike the secret env files
+  backupOnce(examplePath)
+  writeFileAtomic(examplePath, finalContent, 0o644)
 
   return keysToAdd.length
 }
 
-module.exports = {writeEnvFile, ensureGitignore, syncToEnvExample}
+module.exports = {
+  writeEnvFile,
+  formatValue,
+  renderEntry,
+  removeEnvKeys,
+  snapshotEnvFile,
+  findExternalChanges,
+  addGitignoreEntry,
+  syncToEnvExample,
+}
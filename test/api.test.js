@@ -0,0 +1,32 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const crypto = require("crypto")
+const path = require("path")
+const ts = require("typescript")
+const api = require("../src/api")
+const {fingerprint} = api
+
+test("fingerprints tell values apart within a run", () => {
+  assert.equal(fingerprint("TOKEN", "a"), fingerprint("TOKEN", "a"))
+  assert.notEqual(fingerprint("TOKEN", "a"), fingerprint("TOKEN", "b"))
+  assert.notEqual(fingerprint("TOKEN", "a"), fingerprint("OTHER", "a"))
+  assert.match(fingerprint("TOKEN", "a"), /^[0-9a-f]{12}$/)
+})
+
+test("fingerprints are not a plain hash of the value", () => {
+  const plain = crypto.createHash("sha256").update("TOKEN\0hunter2").digest("hex").substring(0, 12)
+  assert.notEqual(fingerprint("TOKEN", "hunter2"), plain)
+})
+
+test("api.d.ts declares exactly what api.js exports", () => {
+  const typingsPath = path.join(__dirname, "..", "src", "api.d.ts")
+  const program = ts.createProgram([typingsPath], {types: ["node"]})
+  const checker = program.getTypeChecker()
+  const declared = checker.getExportsOfModule(checker.getSymbolAtLocation(program.getSourceFile(typingsPath)))
+  const declaredFunctions = declared.filter(symbol => symbol.flags & ts.SymbolFlags.Function).map(symbol => symbol.name)
+
+  assert.deepEqual(declaredFunctions.sort(), Object.keys(api).sort())
+  for (const name of declaredFunctions) assert.equal(typeof api[name], "function", name)
+})
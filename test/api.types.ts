@@ -0,0 +1,30 @@
+// Compile-only check of api.d.ts (npm run typecheck) — never executed
+
+import * as envsetter from "../src/api"
+
+async function usage(): Promise<void> {
+  const vars: envsetter.Variable[] = await envsetter.scan({cwd: "apps/api", deep: true, cache: false})
+  const required: boolean = vars[0].required
+
+  const result: envsetter.CheckResult = await envsetter.check({cwd: "apps/api", file: ".env.production", env: true})
+  const missing: string[] = result.variables.filter(v => v.required && !v.set).map(v => v.key)
+  const sarif: string = envsetter.formatReport(result, "sarif")
+
+  const written: number = envsetter.setValues(".env", {PORT: "4000"}) + envsetter.setValues(".env", new Map([["A", "1"]]))
+  const port: string | undefined = envsetter.readEnv(".env").get("PORT")
+  const removed: number = envsetter.unsetValues(".env", ["PORT"])
+
+  const {keysOnly, changes}: envsetter.DiffResult = envsetter.diff(".env.staging", ".env.production")
+  const changed = changes.filter(c => c.type === "changed").map(c => envsetter.fingerprint(c.key, c.after || ""))
+
+  envsetter.loadConfig(".")
+  const found: Map<string, envsetter.ScanEntry> = await envsetter.scanCodebase(".", {cache: true})
+  const unused = envsetter.findUnusedKeys(".", found, ".env").map(u => u.key)
+  const {key} = envsetter.loadKey(".", true)
+  const sealed = envsetter.encryptEnvFile(".env", key).targetPath
+  const {output, warnings} = envsetter.exportEnv(envsetter.readEnv(".env"), "k8s", {name: "api"})
+
+  console.log(required, missing, sarif, written, port, removed, keysOnly, changed, unused, sealed, output, warnings)
+}
+
+export {usage}
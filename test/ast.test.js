@@ -0,0 +1,72 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {extractJsEnvRefs, isJsFile} = require("../src/ast")
+const {scanCodebase} = require("../src/scanner")
+const {tempDir} = require("./helpers")
+
+function names(content, file = "app.ts") {
+  return extractJsEnvRefs(content, file).map(ref => ref.name)
+}
+
+test("finds member access in every spelling", () => {
+  const source = [
+    "process.env.DOT",
+    "process.env[\"BRACKET\"]",
+    "process.env[`TEMPLATE`]",
+    "process?.env?.OPTIONAL",
+    "const cast = (process.env as any).CAST",
+    "import.meta.env.VITE_URL",
+    "process.env[name]",
+  ].join("\n")
+  assert.deepEqual(names(source), ["DOT", "BRACKET", "TEMPLATE", "OPTIONAL", "CAST", "VITE_URL"])
+})
+
+test("finds destructured variables with their position", () => {
+  const refs = extractJsEnvRefs("const { DATABASE_URL, PORT = 3000, REDIS: redis, ...rest } = process.env\n", "app.js")
+  assert.deepEqual(refs.map(({name, line, column, defaultValue}) => [name, line, column, defaultValue]), [
+    ["DATABASE_URL", 1, 9, undefined],
+    ["PORT", 1, 23, "3000"],
+    ["REDIS", 1, 36, undefined],
+  ])
+})
+
+test("follows aliases of process.env", () => {
+  const source = [
+    "import { env as nodeEnv } from \"node:process\"",
+    "const e = process.env",
+    "e.STRIPE_KEY",
+    "const { SENTRY_DSN } = e",
+    "const { env } = process",
+    "env.FROM_PROCESS",
+    "const { env: { NESTED } } = process",
+    "nodeEnv.FROM_IMPORT",
+  ].join("\n")
+  assert.deepEqual(names(source), ["STRIPE_KEY", "SENTRY_DSN", "FROM_PROCESS", "NESTED", "FROM_IMPORT"])
+})
+
+test("an unrelated object called env is not an alias", () => {
+  assert.deepEqual(names("const env = {A: 1}\nenv.NOT_ENV\nconst { ALSO_NOT } = config\n"), [])
+})
+
+test("parses JSX and returns null for code that doesn't parse", () => {
+  assert.deepEqual(names("const x = <div>{process.env.JSX_KEY}</div>", "view.jsx"), ["JSX_KEY"])
+  assert.equal(extractJsEnvRefs("const = ;", "broken.js"), null)
+})
+
+test("isJsFile covers the JS and TS extensions", () => {
+  for (const file of ["a.js", "a.jsx", "a.ts", "a.tsx", "a.mjs", "a.cjs"]) assert.equal(isJsFile(file), true, file)
+  for (const file of ["a.py", "a.rb", "a.json", "a.d"]) assert.equal(isJsFile(file), false, file)
+})
+
+test("the scan uses the parser for JS and the patterns for other languages", async () => {
+  const dir = tempDir({
+    "src/app.js": "const { DATABASE_URL } = process.env\n",
+    "src/broken.js": "const = process.env.FROM_BROKEN\n",
+    "worker.py": "import os\nos.environ[\"PY_KEY\"]\n",
+  })
+  const found = await scanCodebase(dir, {cache: false})
+  assert.deepEqual([...found.keys()].sort(), ["DATABASE_URL", "FROM_BROKEN", "PY_KEY"])
+  assert.deepEqual(found.get("DATABASE_URL").locations, [{file: "src/app.js", line: 1, column: 9}])
+})
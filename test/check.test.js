@@ -0,0 +1,110 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const path = require("path")
+const {spawnSync} = require("child_process")
+const {check, formatReport} = require("../src/api")
+const {tempDir, read} = require("./helpers")
+
+const BIN = path.join(__dirname, "..", "bin", "envsetter.js")
+const APP = "const db = process.env.DATABASE_URL\nconst port = process.env.PORT || 3000\n"
+
+function project(env) {
+  return tempDir({"src/app.js": APP, ".env": env})
+}
+
+function run(cwd, ...args) {
+  return spawnSync(process.execPath, [BIN, "check", "--cwd", cwd, ...args], {encoding: "utf-8"})
+}
+
+test("any missing variable fails the check", async () => {
+  const result = await check({cwd: project("DATABASE_URL=postgres://x\n")})
+  assert.equal(result.ok, false)
+  assert.deepEqual(result.variables.map(({key, required, set}) => ({key, required, set})), [
+    {key: "DATABASE_URL", required: true, set: true},
+    {key: "PORT", required: false, set: false},
+  ])
+  assert.deepEqual(result.variables[1].locations, [{file: "src/app.js", line: 2, column: 14}])
+})
+
+test("ignoreOptional only fails on required variables", async () => {
+  assert.equal((await check({cwd: project("DATABASE_URL=x\n"), ignoreOptional: true})).ok, true)
+  assert.equal((await check({cwd: project("PORT=1\n"), ignoreOptional: true})).ok, false)
+})
+
+test("a template only needs the keys declared", async () => {
+  const dir = tempDir({"src/app.js": APP, ".env.example": "DATABASE_URL=\nPORT=\n"})
+  assert.equal((await check({cwd: dir, example: true})).ok, true)
+})
+
+test("the CLI exits with 1 while anything is missing", () => {
+  assert.equal(run(project("")).status, 1)
+  assert.equal(run(project("DATABASE_URL=x\n")).status, 1)
+  assert.equal(run(project("DATABASE_URL=x\n"), "--ignore-optional").status, 0)
+  assert.equal(run(project("DATABASE_URL=x\nPORT=1\n")).status, 0)
+})
+
+test("the JSON report lists missing variables", () => {
+  const report = JSON.parse(run(project("DATABASE_URL=x\n"), "--format", "json").stdout)
+  assert.deepEqual(report, {
+    target: ".env",
+    ok: false,
+    total: 2,
+    missing: [{key: "PORT", required: false, locations: [{file: "src/app.js", line: 2, column: 14}]}],
+  })
+})
+
+test("--output writes the report to a file", () => {
+  const dir = project("DATABASE_URL=x\n")
+  const result = run(dir, "--format", "sarif", "--output", "check.sarif")
+  assert.equal(result.status, 1)
+  assert.equal(JSON.parse(read(dir, "check.sarif")).runs[0].results.length, 1)
+})
+
+const RESULT = {
+  target: ".env",
+  ok: false,
+  ignoreOptional: false,
+  variables: [
+    {key: "SET_ONE", required: true, set: true, locations: []},
+    {key: "REQ", required: true, set: false, locations: [{file: "a.js", line: 1, column: 5}, {file: "b.js", line: 7, column: 1}]},
+    {key: "OPT", required: false, set: false, locations: [{file: "c.js", line: null, column: null}]},
+  ],
+  errors: [],
+}
+
+test("JUnit fails every missing variable, or skips optional ones with ignoreOptional", () => {
+  const strict = formatReport(RESULT, "junit")
+  assert.match(strict, /<testsuites name="envsetter" tests="3" failures="2" errors="0" skipped="0">/)
+  assert.match(strict, /<testcase name="SET_ONE" classname="\.env"\/>/)
+  assert.match(strict, /<failure message="REQ is referenced but not set in \.env" type="missing">Used in a\.js:1\nUsed in b\.js:7<\/failure>/)
+
+  const lenient = formatReport({...RESULT, ignoreOptional: true}, "junit")
+  assert.match(lenient, /tests="3" failures="1" errors="0" skipped="1"/)
+  assert.match(lenient, /<skipped message="optional — OPT is referenced but not set in \.env"\/>/)
+})
+
+test("SARIF has one result per missing variable with related locations", () => {
+  const sarif = JSON.parse(formatReport(RESULT, "sarif"))
+  assert.equal(sarif.version, "2.1.0")
+  const [run] = sarif.runs
+  assert.deepEqual(run.tool.driver.rules.map(r => r.id), ["envsetter/missing-variable", "envsetter/missing-optional-variable"])
+  assert.deepEqual(run.results.map(r => [r.ruleId, r.level]), [
+    ["envsetter/missing-variable", "error"],
+    ["envsetter/missing-optional-variable", "error"],
+  ])
+  assert.deepEqual(run.results[0].locations[0].physicalLocation, {
+    artifactLocation: {uri: "a.js", uriBaseId: "%SRCROOT%"},
+    region: {startLine: 1, startColumn: 5},
+  })
+  assert.equal(run.results[0].relatedLocations[0].physicalLocation.artifactLocation.uri, "b.js")
+  assert.deepEqual(run.results[1].locations[0].physicalLocation, {artifactLocation: {uri: "c.js", uriBaseId: "%SRCROOT%"}})
+
+  const lenient = JSON.parse(formatReport({...RESULT, ignoreOptional: true}, "sarif"))
+  assert.equal(lenient.runs[0].results[1].level, "warning")
+})
+
+test("formatReport rejects unknown formats", () => {
+  assert.throws(() => formatReport(RESULT, "xml"), /Unknown report format "xml"/)
+})
@@ -0,0 +1,47 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {parseArgs, formatHelp} = require("../src/cli")
+
+test("no arguments runs fill", () => {
+  assert.deepEqual(parseArgs([]), {command: "fill", args: [], options: {}})
+})
+
+test("reads the command, its arguments and options in any order", () => {
+  assert.deepEqual(parseArgs(["--deep", "set", "A=1", "-y", "B=2", "--file", ".env.local"]), {
+    command: "set",
+    args: ["A=1", "B=2"],
+    options: {deep: true, yes: true, file: ".env.local"},
+  })
+})
+
+test("accepts --name=value and short aliases", () => {
+  assert.deepEqual(parseArgs(["check", "--format=sarif", "-o", "out.sarif"]).options, {format: "sarif", output: "out.sarif"})
+})
+
+test("a lone - is an argument and -- ends the options", () => {
+  assert.deepEqual(parseArgs(["import", "-"]).args, ["-"])
+  assert.deepEqual(parseArgs(["set", "--", "--NOT_AN_OPTION=1"]).args, ["--NOT_AN_OPTION=1"])
+})
+
+test("checks choices", () => {
+  assert.equal(parseArgs(["--mode", "bulk"]).options.mode, "bulk")
+  assert.throws(() => parseArgs(["--mode", "everything"]), /--mode must be one of: missing, required, all, bulk/)
+})
+
+test("rejects unknown commands and options, and missing or unexpected values", () => {
+  assert.throws(() => parseArgs(["deploy"]), /Unknown command "deploy"/)
+  assert.throws(() => parseArgs(["--nope"]), /Unknown option --nope/)
+  assert.throws(() => parseArgs(["--file"]), /--file needs a value/)
+  assert.throws(() => parseArgs(["--file="]), /--file needs a value/)
+  assert.throws(() => parseArgs(["--deep=yes"]), /--deep doesn't take a value/)
+})
+
+test("help lists every command", () => {
+  const help = formatHelp("1.2.3")
+  assert.match(help, /^envsetter 1\.2\.3/)
+  for (const command of ["fill", "scan", "watch", "check", "diff", "import", "export", "undo"]) {
+    assert.match(help, new RegExp(`^  \\[?${command}`, "m"))
+  }
+})
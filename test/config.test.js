@@ -0,0 +1,89 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const path = require("path")
+const {loadConfig, getDefaultTarget} = require("../src/config")
+const {scanCodebase, isBlacklisted} = require("../src/scanner")
+const {getValueHint, getCategory} = require("../src/hints")
+const {tempDir} = require("./helpers")
+
+const json = value => JSON.stringify(value)
+
+test.afterEach(() => loadConfig(tempDir()))
+
+test("uses the nearest .envsetterrc or package.json key up to the repo root", () => {
+  const dir = tempDir({
+    ".git/HEAD": "",
+    ".envsetterrc": json({mode: "root"}),
+    "apps/api/package.json": json({name: "api", envsetter: {mode: "api"}}),
+    "apps/api/src/.gitkeep": "",
+    "apps/web/package.json": json({name: "web"}),
+  })
+  assert.equal(loadConfig(path.join(dir, "apps/api/src")).mode, "api")
+  assert.equal(loadConfig(path.join(dir, "apps/web")).mode, "root")
+  assert.equal(loadConfig(path.join(dir, "apps/web")).source, path.join(dir, ".envsetterrc"))
+
+  const outside = tempDir({".git/HEAD": "", "sub/.gitkeep": ""})
+  assert.equal(loadConfig(path.join(outside, "sub")).source, null)
+})
+
+test("reports invalid config with the file it came from", () => {
+  const load = raw => loadConfig(tempDir({".envsetterrc": raw}))
+  assert.throws(() => load("{nope"), /Invalid envsetter config in .*\.envsetterrc/)
+  assert.throws(() => load(json({patterns: ["config\\.get"]})), /needs a capture group/)
+  assert.throws(() => load(json({patterns: ["("]})), /"patterns" has an invalid pattern/)
+  assert.throws(() => load(json({blacklist: "PATH"})), /"blacklist" must be an array or an object/)
+  assert.throws(() => load(json({layering: "webpack"})), /"layering" must be "next" or "vite"/)
+})
+
+test("blacklist add, remove and replace", () => {
+  const load = blacklist => loadConfig(tempDir({".envsetterrc": json({blacklist})}))
+
+  load(["SOME_RUNTIME_VAR"])
+  assert.equal(isBlacklisted("SOME_RUNTIME_VAR"), true)
+  assert.equal(isBlacklisted("NODE_ENV"), true)
+
+  load({add: ["EXTRA"], remove: ["NODE_ENV"]})
+  assert.equal(isBlacklisted("EXTRA"), true)
+  assert.equal(isBlacklisted("NODE_ENV"), false)
+  assert.equal(isBlacklisted("PATH"), true)
+
+  load({replace: ["ONLY_THIS"], remove: ["ONLY_THIS"], add: ["AND_THIS"]})
+  assert.equal(isBlacklisted("ONLY_THIS"), false)
+  assert.equal(isBlacklisted("AND_THIS"), true)
+  assert.equal(isBlacklisted("PATH"), false)
+})
+
+test("custom patterns and extensions feed the scan", async () => {
+  const dir = tempDir({
+    ".envsetterrc": json({patterns: ["config\\.get\\(['\"]([A-Z][A-Z0-9_]+)['\"]"], extensions: [".graphql"]}),
+    "src/app.js": "const url = config.get(\"API_URL\")\n",
+    "schema.graphql": "# process.env.GRAPHQL_KEY\n",
+  })
+  loadConfig(dir)
+  assert.deepEqual([...(await scanCodebase(dir, {cache: false})).keys()].sort(), ["API_URL", "GRAPHQL_KEY"])
+})
+
+test("default targets per folder, relative to the config file", () => {
+  const dir = tempDir({".envsetterrc": json({targets: {"default": ".env.local", "apps/api": ".env"}})})
+  loadConfig(dir)
+  assert.equal(getDefaultTarget(dir), ".env.local")
+  assert.equal(getDefaultTarget(path.join(dir, "apps/api")), ".env")
+  assert.equal(getDefaultTarget(path.join(dir, "apps/web")), ".env.local")
+})
+
+test("custom hints and categories come before the built-in ones", () => {
+  loadConfig(tempDir({
+    ".envsetterrc": json({
+      hints: [{pattern: "^FEATURE_", type: "Flag", hint: "on / off"}, {pattern: "_URL$", type: "URL", hint: "our URL"}],
+      categories: [{pattern: "^PAYMENTS_", name: "Payments"}, {pattern: "^STRIPE_", name: "Billing"}],
+    }),
+  }))
+  const {type, hint} = getValueHint("FEATURE_SEARCH")
+  assert.deepEqual({type, hint}, {type: "Flag", hint: "on / off"})
+  assert.equal(getValueHint("DATABASE_URL").hint, "our URL")
+  assert.equal(getCategory("PAYMENTS_WEBHOOK"), "Payments")
+  assert.equal(getCategory("STRIPE_KEY"), "Billing")
+  assert.equal(getCategory("AWS_REGION"), "AWS")
+})
@@ -0,0 +1,72 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {parseEnvDocument, parseEnvContent} = require("../src/dotenv")
+
+const parse = content => Object.fromEntries(parseEnvContent(content))
+
+test("reads KEY=value, export and KEY: value lines", () => {
+  assert.deepEqual(parse("A=1\nexport B=2\nC: 3\n  D = 4\n"), {A: "1", B: "2", C: "3", D: "4"})
+})
+
+test("unquoted values are trimmed and end at an inline comment", () => {
+  assert.deepEqual(parse("A= one two  # note\nB=http://x/#anchor\nC=# only a comment\n"), {
+    A: "one two",
+    B: "http://x/#anchor",
+    C: "",
+  })
+})
+
+test("single and backtick quotes are literal, double quotes expand escapes", () => {
+  assert.deepEqual(parse(`A='a\\nb $X'\nB=\`c\\td\`\nC="e\\nf\\t\\"g\\" \\\\ \\$h"\n`), {
+    A: "a\\nb $X",
+    B: "c\\td",
+    C: "e\nf\t\"g\" \\ $h",
+  })
+})
+
+test("quoted values may span lines", () => {
+  const pem = "-----BEGIN KEY-----\nabc\n-----END KEY-----"
+  const doc = parseEnvDocument(`KEY="${pem}"\nNEXT=1\n`)
+  const [entry, next] = doc.nodes
+  assert.equal(entry.value, pem)
+  assert.equal(entry.startLine, 1)
+  assert.equal(entry.endLine, 3)
+  assert.equal(next.key, "NEXT")
+  assert.equal(next.startLine, 4)
+})
+
+test("a later definition wins", () => {
+  assert.deepEqual(parse("A=1\nA=2\n"), {A: "2"})
+})
+
+test("keeps comments, blanks and the raw text around each value", () => {
+  const doc = parseEnvDocument("# header\n\nexport  A = 'x'  # why\r\n")
+  assert.deepEqual(doc.nodes.map(n => n.type), ["comment", "blank", "entry"])
+  const entry = doc.nodes[2]
+  assert.equal(entry.head, "export  A = ")
+  assert.equal(entry.quote, "'")
+  assert.equal(entry.trailing, "  # why")
+  assert.equal(entry.comment, "why")
+  assert.equal(entry.exported, true)
+})
+
+test("reports syntax errors by line", () => {
+  const {errors} = parseEnvDocument("OK=1\nMISSING\nBAD=\"open\nA b c\n")
+  assert.deepEqual(errors, [
+    {line: 2, message: "Missing \"=\" after MISSING"},
+    {line: 3, message: "Unterminated double-quoted value for BAD"},
+    {line: 4, message: "Invalid line: A b c"},
+  ])
+})
+
+test("flags text after a closing quote", () => {
+  const {errors} = parseEnvDocument("A=\"x\" y\n")
+  assert.equal(errors.length, 1)
+  assert.match(errors[0].message, /Unexpected text after closing quote of A/)
+})
+
+test("strips a BOM and normalizes CRLF", () => {
+  assert.deepEqual(parse("\uFEFFA=1\r\nB=2\r\n"), {A: "1", B: "2"})
+})
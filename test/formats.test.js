@@ -0,0 +1,82 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {parseImport, exportEnv} = require("../src/formats")
+
+function detect(text) {
+  const {format, values, errors} = parseImport(text)
+  return {format, values: Object.fromEntries(values), errors}
+}
+
+test("detects dotenv", () => {
+  assert.deepEqual(detect("# comment\nA=1\nexport B=\"x y\"\n"), {format: "dotenv", values: {A: "1", B: "x y"}, errors: []})
+})
+
+test("detects JSON and keeps nested values as JSON", () => {
+  assert.deepEqual(detect('{"A": "1", "N": {"x": 1}, "B": true}'), {
+    format: "JSON",
+    values: {A: "1", N: '{"x":1}', B: "true"},
+    errors: [],
+  })
+})
+
+test("detects YAML", () => {
+  assert.deepEqual(detect("A: 1\nB: \"two\"\n"), {format: "YAML", values: {A: "1", B: "two"}, errors: []})
+})
+
+test("detects a Kubernetes Secret and decodes its data", () => {
+  const secret = "apiVersion: v1\nkind: Secret\ndata:\n  A: MQ==\nstringData:\n  B: two\n"
+  assert.deepEqual(detect(secret), {format: "Kubernetes Secret", values: {A: "1", B: "two"}, errors: []})
+})
+
+test("detects a Kubernetes ConfigMap", () => {
+  assert.equal(detect("apiVersion: v1\nkind: ConfigMap\ndata:\n  A: \"1\"\n").format, "Kubernetes ConfigMap")
+})
+
+test("detects docker-compose environment blocks", () => {
+  const compose = "services:\n  api:\n    environment:\n      - A=1\n  worker:\n    environment:\n      B: 2\n"
+  assert.deepEqual(detect(compose), {format: "docker-compose", values: {A: "1", B: "2"}, errors: []})
+})
+
+test("detects heroku config", () => {
+  assert.deepEqual(detect("=== app Config Vars\nA:  1\nB: two\n"), {format: "heroku config", values: {A: "1", B: "two"}, errors: []})
+})
+
+test("detects printenv output and drops shell variables", () => {
+  const dump = "PATH=/usr/bin\nHOME=/root\nSHELL=/bin/bash\nAPI_KEY=x\n"
+  assert.deepEqual(detect(dump), {format: "printenv", values: {API_KEY: "x"}, errors: []})
+})
+
+test("a dotenv paste that sets a shell variable stays dotenv", () => {
+  assert.deepEqual(detect("USER=admin\nPASSWORD=\"p w\"\nAPI_KEY=x\n"), {
+    format: "dotenv",
+    values: {USER: "admin", PASSWORD: "p w", API_KEY: "x"},
+    errors: [],
+  })
+  assert.equal(detect("USER=admin\nHOME=/app\nAPI_KEY=x\n").format, "dotenv")
+  assert.equal(detect("PATH=/bin\nHOME=/app\nUSER=me\nPASSWORD='p w'\n").format, "dotenv")
+})
+
+test("reports invalid JSON", () => {
+  const {format, errors} = detect("{broken")
+  assert.equal(format, "JSON")
+  assert.match(errors[0].message, /^Invalid JSON/)
+})
+
+test("JSON, YAML and Secret exports read back through import", () => {
+  const env = new Map([["A", "1"], ["B", "x y"], ["C", "it's \"quoted\""], ["D", "a\nb"]])
+  for (const format of ["json", "yaml", "k8s-secret"]) {
+    assert.deepEqual(parseImport(exportEnv(env, format).output).values, env, format)
+  }
+})
+
+test("Kubernetes names are made valid and bad namespaces are rejected", () => {
+  const env = new Map([["A", "1"]])
+  const {output} = exportEnv(env, "k8s-secret", {name: "My App: {x}\n", namespace: "prod-1"})
+  assert.match(output, /^metadata:\n  name: my-app-x\n  namespace: prod-1\n/m)
+
+  for (const namespace of ["Prod", "prod\nkind: Pod", "-prod", "a".repeat(64), "x: y"]) {
+    assert.throws(() => exportEnv(env, "k8s", {namespace}), /Invalid namespace/, namespace)
+  }
+})
@@ -0,0 +1,34 @@
+"use strict"
+
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const {after} = require("node:test")
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────────
+
+const created = []
+
+after(() => {
+  for (const dir of created) fs.rmSync(dir, {recursive: true, force: true})
+})
+
+/**
+ * A fresh folder outside any git repo, with `files` ({ name: content }) in it.
+ * Removed again when the test file finishes.
+ */
+function tempDir(files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "envsetter-test-"))
+  created.push(dir)
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), {recursive: true})
+    fs.writeFileSync(path.join(dir, name), content, "utf-8")
+  }
+  return dir
+}
+
+function read(dir, name) {
+  return fs.readFileSync(path.join(dir, name), "utf-8")
+}
+
+module.exports = {tempDir, read}
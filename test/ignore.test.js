@@ -0,0 +1,136 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const path = require("path")
+const {spawnSync} = require("child_process")
+const {createIgnoreMatcher, findRepoRoot, getGitStatus} = require("../src/ignore")
+const {scanCodebase, discoverEnvFolders} = require("../src/scanner")
+const {addGitignoreEntry} = require("../src/writer")
+const {tempDir, read} = require("./helpers")
+
+function project() {
+  return tempDir({
+    ".git/info/exclude": "local-only/\n",
+    ".gitignore": "out/\n*.gen.js\n!keep.gen.js\nlogs/\n!logs/important.js\n",
+    "packages/web/.gitignore": "storybook-static/\n!*.gen.js\n",
+    ".envsetterignore": "# extra exclusions\ngenerated/\n$DEBUG\n$INTERNAL_*\n",
+    "packages/web/.envsetterignore": "$WEB_ONLY\n",
+  })
+}
+
+test("findRepoRoot walks up to the folder holding .git", () => {
+  const dir = project()
+  assert.equal(findRepoRoot(path.join(dir, "packages", "web")), dir)
+})
+
+test("honors .gitignore negations, nested files and .git/info/exclude", () => {
+  const dir = project()
+  const matcher = createIgnoreMatcher(dir)
+  const ignored = file => matcher.isGitIgnored(path.join(dir, file))
+
+  assert.equal(ignored("out/main.js"), true)
+  assert.equal(ignored("src/a.gen.js"), true)
+  assert.equal(ignored("src/keep.gen.js"), false)
+  assert.equal(ignored("local-only/x.js"), true)
+  assert.equal(ignored("packages/web/storybook-static/x.js"), true)
+  assert.equal(ignored("packages/web/src/b.gen.js"), false)
+  assert.equal(ignored("packages/api/storybook-static/x.js"), false)
+  // Nothing inside an ignored directory can be re-included
+  assert.equal(ignored("logs/important.js"), true)
+  assert.equal(matcher.isGitIgnored(path.join(dir, "out"), true), true)
+})
+
+test(".envsetterignore excludes paths and names variables with $", () => {
+  const dir = project()
+  const matcher = createIgnoreMatcher(dir)
+  assert.equal(matcher.isExcluded(path.join(dir, "generated/api.js")), true)
+  assert.equal(matcher.isExcluded(path.join(dir, "src/DEBUG")), false)
+  assert.equal(matcher.isGitIgnored(path.join(dir, "generated/api.js")), false)
+
+  for (const name of ["DEBUG", "INTERNAL_TOKEN", "INTERNAL_"]) assert.equal(matcher.ignoresVar(name), true, name)
+  for (const name of ["DEBUG_MODE", "MY_INTERNAL_TOKEN", "WEB_ONLY"]) assert.equal(matcher.ignoresVar(name), false, name)
+  assert.equal(createIgnoreMatcher(path.join(dir, "packages/web")).ignoresVar("WEB_ONLY"), true)
+})
+
+test("the scan and env folder discovery skip ignored paths and variables", async () => {
+  const dir = tempDir({
+    ".gitignore": "out/\n",
+    ".envsetterignore": "generated/\n$DEBUG\n",
+    "src/app.js": "process.env.API_URL\nprocess.env.DEBUG\n",
+    "out/bundle.js": "process.env.FROM_OUT\n",
+    "generated/client.js": "process.env.FROM_GENERATED\n",
+    "apps/web/.env": "A=1\n",
+    "out/.env": "B=1\n",
+    "generated/.env": "C=1\n",
+  })
+  assert.deepEqual([...(await scanCodebase(dir, {cache: false})).keys()], ["API_URL"])
+  assert.deepEqual(discoverEnvFolders(dir).map(folder => folder.relPath), ["apps/web"])
+})
+
+function git(cwd, ...args) {
+  const result = spawnSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], {cwd, encoding: "utf-8"})
+  assert.equal(result.status, 0, result.stderr)
+  return result.stdout
+}
+
+function repo(files) {
+  const dir = tempDir(files)
+  git(dir, "init", "-q")
+  return dir
+}
+
+test("getGitStatus is null outside a git repository", () => {
+  assert.equal(getGitStatus(path.join(tempDir({".env": ""}), ".env")), null)
+})
+
+test("getGitStatus matches patterns and negations like git does", () => {
+  const dir = repo({
+    ".gitignore": ".env.*\n!.env.example\n*.local\n",
+    ".env": "",
+    ".env.production": "",
+    ".env.example": "",
+    "apps/web/.env.local": "",
+  })
+  for (const file of [".env", ".env.production", ".env.example", "apps/web/.env.local"]) {
+    const ignoredByGit = spawnSync("git", ["check-ignore", "-q", file], {cwd: dir}).status === 0
+    assert.equal(getGitStatus(path.join(dir, file)).ignored, ignoredByGit, file)
+  }
+  assert.equal(getGitStatus(path.join(dir, ".env")).ignored, false)
+})
+
+test("getGitStatus reports committed files and where the entry belongs", () => {
+  const dir = repo({
+    ".env": "A=1\n",
+    "apps/api/.gitignore": "node_modules/\n",
+    "apps/api/config/.env": "",
+    "apps/web/.env": "",
+  })
+  git(dir, "add", ".env")
+  git(dir, "commit", "-qm", "init")
+
+  assert.deepEqual(getGitStatus(path.join(dir, ".env")), {
+    root: dir,
+    ignored: false,
+    tracked: true,
+    gitignorePath: path.join(dir, ".gitignore"),
+    entry: ".env",
+  })
+  const nested = getGitStatus(path.join(dir, "apps/api/config/.env"))
+  assert.equal(nested.tracked, false)
+  assert.equal(nested.gitignorePath, path.join(dir, "apps/api/.gitignore"))
+  assert.equal(nested.entry, "/config/.env")
+  assert.equal(getGitStatus(path.join(dir, "apps/web/.env")).entry, "/apps/web/.env")
+})
+
+test("the suggested entry makes git ignore the file", () => {
+  const dir = repo({"apps/api/.gitignore": "node_modules/", "apps/api/config/.env": "", ".env": ""})
+  for (const file of ["apps/api/config/.env", ".env"]) {
+    const status = getGitStatus(path.join(dir, file))
+    addGitignoreEntry(status.gitignorePath, status.entry)
+    assert.equal(getGitStatus(path.join(dir, file)).ignored, true, file)
+    assert.equal(spawnSync("git", ["check-ignore", "-q", file], {cwd: dir}).status, 0, file)
+  }
+  assert.equal(read(dir, "apps/api/.gitignore"), "node_modules/\n\n# env files\n/config/.env\n")
+  assert.equal(read(dir, ".gitignore"), "# env files\n.env\n")
+})
@@ -0,0 +1,77 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {resolveLayers, detectModes, detectPreset} = require("../src/layers")
+const {loadConfig} = require("../src/config")
+const {tempDir} = require("./helpers")
+
+const FILES = {
+  ".env": "A=env\nB=env\nC=env\nD=env\nE=env\n",
+  ".env.local": "A=local\nB=local\n",
+  ".env.development": "A=mode\nC=mode\nB=mode\n",
+  ".env.development.local": "A=mode-local\n",
+  ".env.test": "D=test\n",
+  ".env.test.local": "E=test-local\n",
+}
+
+function effective(result) {
+  return Object.fromEntries([...result.values].map(([key, {value, file}]) => [key, `${value} (${file})`]))
+}
+
+test("Next.js: mode.local > .local > mode > .env", () => {
+  const result = resolveLayers(tempDir(FILES), "development", ".env")
+  assert.equal(result.preset, "next")
+  assert.deepEqual(result.files.map(f => f.file), [".env.development.local", ".env.local", ".env.development", ".env"])
+  assert.deepEqual(effective(result), {
+    A: "mode-local (.env.development.local)",
+    B: "local (.env.local)",
+    C: "mode (.env.development)",
+    D: "env (.env)",
+    E: "env (.env)",
+  })
+})
+
+test("Next.js leaves .env.local out in test mode", () => {
+  const result = resolveLayers(tempDir(FILES), "test", ".env")
+  assert.deepEqual(result.files.map(f => f.file), [".env.test.local", ".env.test", ".env"])
+  assert.equal(result.values.get("A").file, ".env")
+  assert.equal(result.values.get("E").value, "test-local")
+})
+
+test("Vite: mode files beat .env.local", () => {
+  const dir = tempDir({...FILES, "package.json": JSON.stringify({devDependencies: {vite: "^5.0.0"}})})
+  const result = resolveLayers(dir, "development", ".env")
+  assert.equal(result.preset, "vite")
+  assert.deepEqual(result.files.map(f => f.file), [".env.development.local", ".env.development", ".env.local", ".env"])
+  assert.equal(effective(result).B, "mode (.env.development)")
+})
+
+test("a target outside the preset goes on top and missing files are listed", () => {
+  const result = resolveLayers(tempDir({".env": "A=env\n", "config/app.env": "A=target\n"}), "production", "./config/app.env")
+  assert.deepEqual(result.files, [
+    {file: "config/app.env", exists: true},
+    {file: ".env.production.local", exists: false},
+    {file: ".env.local", exists: false},
+    {file: ".env.production", exists: false},
+    {file: ".env", exists: true},
+  ])
+  assert.equal(result.values.get("A").value, "target")
+})
+
+test("the preset comes from config first, then package.json", () => {
+  const vite = JSON.stringify({dependencies: {vite: "5"}})
+  assert.equal(detectPreset(tempDir({"package.json": JSON.stringify({dependencies: {vite: "5", next: "14"}})})), "next")
+  assert.equal(detectPreset(tempDir({"package.json": vite})), "vite")
+  try {
+    loadConfig(tempDir({".envsetterrc": JSON.stringify({layering: "next"})}))
+    assert.equal(detectPreset(tempDir({"package.json": vite})), "next")
+  } finally {
+    loadConfig(tempDir())
+  }
+})
+
+test("detectModes lists the modes that have env files", () => {
+  const dir = tempDir({...FILES, ".env.example": "", ".env.staging.local": "", ".env.enc": "", ".env.bak": ""})
+  assert.deepEqual(detectModes(dir), ["development", "staging", "test"])
+})
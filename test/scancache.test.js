@@ -0,0 +1,108 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const {createScanCache, hashContent} = require("../src/scancache")
+const {scanCodebase} = require("../src/scanner")
+const {loadConfig} = require("../src/config")
+const {tempDir, read} = require("./helpers")
+
+const REFS = [{name: "API_URL", line: 1, column: 1}]
+const OLD = Date.now() - 60 * 1000
+
+function saved(dir, file, stat, hash = "h1") {
+  const cache = createScanCache(dir)
+  cache.set(path.join(dir, file), stat, hash, REFS)
+  cache.save([path.join(dir, file)])
+}
+
+test("a saved entry is reused while size and mtime match, then by content hash", () => {
+  const dir = tempDir()
+  const file = path.join(dir, "a.js")
+  saved(dir, "a.js", {mtimeMs: OLD, size: 10})
+
+  const cache = createScanCache(dir)
+  assert.deepEqual(cache.get(file, {mtimeMs: OLD, size: 10}), REFS)
+  assert.equal(cache.get(file, {mtimeMs: OLD + 1, size: 10}), undefined)
+  assert.equal(cache.get(file, {mtimeMs: OLD, size: 11}), undefined)
+  assert.deepEqual(cache.getByHash(file, "h1"), REFS)
+  assert.equal(cache.getByHash(file, "h2"), undefined)
+  assert.equal(cache.get(path.join(dir, "b.js"), {mtimeMs: OLD, size: 10}), undefined)
+})
+
+test("a file modified just now is only trusted by hash", () => {
+  const dir = tempDir()
+  const stat = {mtimeMs: Date.now(), size: 10}
+  saved(dir, "a.js", stat)
+  const cache = createScanCache(dir)
+  assert.equal(cache.get(path.join(dir, "a.js"), stat), undefined)
+  assert.deepEqual(cache.getByHash(path.join(dir, "a.js"), "h1"), REFS)
+})
+
+test("a different version or custom patterns discard the cache", () => {
+  const dir = tempDir()
+  saved(dir, "a.js", {mtimeMs: OLD, size: 10})
+  try {
+    loadConfig(tempDir({".envsetterrc": JSON.stringify({patterns: ["cfg\\(\"([A-Z_]+)\"\\)"]})}))
+    assert.equal(createScanCache(dir).getByHash(path.join(dir, "a.js"), "h1"), undefined)
+  } finally {
+    loadConfig(tempDir())
+  }
+
+  const cachePath = path.join(dir, ".envsetter", "cache", "scan.json")
+  const data = JSON.parse(fs.readFileSync(cachePath, "utf-8"))
+  fs.writeFileSync(cachePath, JSON.stringify({...data, salt: "0.0.0"}))
+  assert.equal(createScanCache(dir).getByHash(path.join(dir, "a.js"), "h1"), undefined)
+})
+
+test("save drops files no longer listed under the scanned folder only", () => {
+  const dir = tempDir({".git/HEAD": ""})
+  const cache = createScanCache(dir)
+  const files = ["apps/api/a.js", "apps/api/b.js", "apps/web/c.js"].map(file => path.join(dir, file))
+  for (const file of files) cache.set(file, {mtimeMs: OLD, size: 1}, "h", REFS)
+  cache.save(files)
+
+  const apiCache = createScanCache(path.join(dir, "apps/api"))
+  apiCache.save([path.join(dir, "apps/api/a.js")])
+  assert.deepEqual(Object.keys(JSON.parse(read(dir, ".envsetter/cache/scan.json")).files), ["apps/api/a.js", "apps/web/c.js"])
+})
+
+test("a disabled cache neither reads nor writes", () => {
+  const dir = tempDir()
+  saved(dir, "a.js", {mtimeMs: OLD, size: 10})
+  const cache = createScanCache(dir, false)
+  assert.equal(cache.getByHash(path.join(dir, "a.js"), "h1"), undefined)
+  cache.set(path.join(dir, "b.js"), {mtimeMs: OLD, size: 1}, "h", REFS)
+  cache.save([path.join(dir, "b.js")])
+  assert.deepEqual(Object.keys(JSON.parse(read(dir, ".envsetter/cache/scan.json")).files), ["a.js"])
+})
+
+test("repeat scans pick up edited, added and deleted files", async () => {
+  const dir = tempDir({"src/a.js": "process.env.FIRST\n", "src/b.js": "process.env.GONE\n"})
+  const a = path.join(dir, "src/a.js")
+  fs.utimesSync(a, OLD / 1000, OLD / 1000)
+  assert.deepEqual([...(await scanCodebase(dir)).keys()].sort(), ["FIRST", "GONE"])
+  assert.ok(fs.existsSync(path.join(dir, ".envsetter/cache/scan.json")))
+
+  // Same size and an older mtime: only a changed hash can tell
+  fs.writeFileSync(a, "process.env.OTHER\n")
+  fs.utimesSync(a, OLD / 1000 + 5, OLD / 1000 + 5)
+  fs.unlinkSync(path.join(dir, "src/b.js"))
+  fs.writeFileSync(path.join(dir, "src/c.js"), "process.env.ADDED\n")
+  assert.deepEqual([...(await scanCodebase(dir)).keys()].sort(), ["ADDED", "OTHER"])
+
+  const files = JSON.parse(read(dir, ".envsetter/cache/scan.json")).files
+  assert.deepEqual(Object.keys(files).sort(), ["src/a.js", "src/c.js"])
+  assert.equal(files["src/a.js"].hash, hashContent(fs.readFileSync(a)))
+})
+
+test("binary and huge files are not scanned", async () => {
+  const dir = tempDir({
+    "src/app.js": "process.env.REAL\n",
+    "src/blob.js": Buffer.concat([Buffer.from("process.env.IN_BINARY\n"), Buffer.alloc(16)]),
+    "src/huge.js": "process.env.IN_HUGE\n" + "x".repeat(1024 * 1024),
+  })
+  assert.deepEqual([...(await scanCodebase(dir, {cache: false})).keys()], ["REAL"])
+})
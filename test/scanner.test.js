@@ -0,0 +1,129 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {scanCodebase, scanEnvFilesOnly, classifyVars, findUnusedKeys} = require("../src/scanner")
+const {getPlaceholder} = require("../src/hints")
+const {tempDir} = require("./helpers")
+
+function defaultsOf(found) {
+  return Object.fromEntries([...found].map(([key, entry]) => [key, [...entry.defaults]]))
+}
+
+test("records literal fallbacks from code as defaults", async () => {
+  const dir = tempDir({
+    "app.js": [
+      "const port = process.env.PORT || 3000",
+      "const level = process.env.LOG_LEVEL ?? \"info\"",
+      "const {DEBUG_MODE = false} = process.env",
+      "const other = process.env.PORT || 8080",
+      "const dynamic = process.env.DYNAMIC || fallback",
+      "const none = process.env.NO_DEFAULT",
+    ].join("\n"),
+    "worker.py": "import os\ntimeout = os.getenv(\"TIMEOUT\", \"30\")\nretries = os.environ.get(\"RETRIES\", 5)\n",
+    "config.rb": "x = ENV.fetch(\"X_KEY\", \"y\")\nz = ENV.fetch(\"Z_KEY\") { \"zz\" }\n",
+  })
+  assert.deepEqual(defaultsOf(await scanCodebase(dir, {cache: false})), {
+    PORT: ["3000", "8080"],
+    LOG_LEVEL: ["info"],
+    DEBUG_MODE: ["false"],
+    DYNAMIC: [],
+    NO_DEFAULT: [],
+    TIMEOUT: ["30"],
+    RETRIES: ["5"],
+    X_KEY: ["y"],
+    Z_KEY: ["zz"],
+  })
+})
+
+test("a code default becomes the placeholder unless the key is a secret", async () => {
+  const dir = tempDir({"app.js": "process.env.PORT || 8080\nprocess.env.API_SECRET || \"dev-secret\"\n"})
+  const found = await scanCodebase(dir, {cache: false})
+  assert.equal(getPlaceholder("PORT", found.get("PORT")), "8080")
+  assert.equal(getPlaceholder("API_SECRET", found.get("API_SECRET")), "")
+})
+
+test("classifyVars: config, then .env.example annotations, then schema, then code defaults", () => {
+  const dir = tempDir({
+    ".env.example": [
+      "# optional",
+      "ANNOTATED_OPTIONAL=",
+      "ANNOTATED_REQUIRED=x # required",
+      "",
+      "FORCED= # optional",
+      "CONFIG_OPTIONAL= # required",
+      "SCHEMA_KEY= # optional",
+    ].join("\n"),
+  })
+  const entry = (defaults = [], schema) => ({files: new Set(), locations: [], defaults: new Set(defaults), ...(schema && {schema})})
+  const found = new Map([
+    ["PLAIN", entry()],
+    ["WITH_DEFAULT", entry(["3000"])],
+    ["ANNOTATED_OPTIONAL", entry()],
+    ["ANNOTATED_REQUIRED", entry(["x"])],
+    ["FORCED", entry(["1"])],
+    ["CONFIG_OPTIONAL", entry()],
+    ["SCHEMA_KEY", entry([], {optional: false})],
+    ["SCHEMA_OPTIONAL", entry([], {optional: true})],
+    ["SCHEMA_REQUIRED", entry(["1"], {optional: false})],
+  ])
+  classifyVars(found, dir, {required: ["FORCED"], optional: ["CONFIG_OPTIONAL"]})
+  assert.deepEqual(Object.fromEntries([...found].map(([key, e]) => [key, e.required])), {
+    PLAIN: true,
+    WITH_DEFAULT: false,
+    ANNOTATED_OPTIONAL: false,
+    ANNOTATED_REQUIRED: true,
+    FORCED: true,
+    CONFIG_OPTIONAL: false,
+    SCHEMA_KEY: false,
+    SCHEMA_OPTIONAL: false,
+    SCHEMA_REQUIRED: true,
+  })
+})
+
+test("a comment only annotates the entry right below it", () => {
+  const dir = tempDir({".env.example": "# Optional: only in production\nA=\nB=\n\n# optional\n\nC=1\n"})
+  const entry = () => ({files: new Set(), locations: [], defaults: new Set()})
+  const found = classifyVars(new Map([["A", entry()], ["B", entry()], ["C", entry()]]), dir, {})
+  assert.deepEqual([...found.values()].map(e => e.required), [false, true, true])
+})
+
+test("records file, line and column for every usage, once per line", async () => {
+  const dir = tempDir({
+    "src/a.ts": "import x from \"y\"\n\nconst url = process.env.DATABASE_URL\nif (process.env.DATABASE_URL && process.env.DATABASE_URL.length) {}\n",
+    "src/b.py": "import os\nos.environ[\"DATABASE_URL\"]\n",
+    "lib/c.js": "const { DATABASE_URL } = process.env\n",
+  })
+  const entry = (await scanCodebase(dir, {cache: false})).get("DATABASE_URL")
+  assert.deepEqual([...entry.files].sort(), ["lib/c.js", "src/a.ts", "src/b.py"])
+  const locations = entry.locations.map(({file, line, column}) => `${file}:${line}:${column}`).sort()
+  assert.deepEqual(locations, ["lib/c.js:1:9", "src/a.ts:3:13", "src/a.ts:4:5", "src/b.py:2:1"])
+  assert.deepEqual(Object.keys(entry.locations[0]), ["file", "line", "column"])
+  assert.equal(JSON.parse(JSON.stringify(entry)).locations.length, 4)
+})
+
+test("keys found in env files point at their line", () => {
+  const dir = tempDir({".env.example": "# db\nDATABASE_URL=\n\nPORT=3000\n"})
+  const found = scanEnvFilesOnly(dir)
+  assert.deepEqual(found.get("PORT").locations, [{file: ".env.example", line: 4, column: 1}])
+})
+
+test("findUnusedKeys lists keys no code reads, with the files defining them", async () => {
+  const dir = tempDir({
+    "src/app.js": "process.env.DATABASE_URL\nprocess.env.PORT\n",
+    ".env": "DATABASE_URL=x\nPORT=1\nOLD_TOKEN=y\n",
+    ".env.example": "DATABASE_URL=\nOLD_TOKEN=\nLEGACY_FLAG=\n",
+    "config/app.env": "DATABASE_URL=x\nCUSTOM_ONLY=1\nlowercase=1\n",
+  })
+  const found = await scanCodebase(dir, {cache: false})
+  assert.deepEqual(findUnusedKeys(dir, found, "config/app.env"), [
+    {key: "CUSTOM_ONLY", files: ["config/app.env"]},
+    {key: "LEGACY_FLAG", files: [".env.example"]},
+    {key: "OLD_TOKEN", files: [".env", ".env.example"]},
+  ])
+})
+
+test("findUnusedKeys skips keys the ignore file lists", async () => {
+  const dir = tempDir({".env": "KEEP_ME=1\nDEAD=1\n", ".envsetterignore": "$KEEP_ME\n"})
+  assert.deepEqual(findUnusedKeys(dir, await scanCodebase(dir, {cache: false})), [{key: "DEAD", files: [".env"]}])
+})
@@ -0,0 +1,80 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {extractJsSchema, extractPythonSchema} = require("../src/schema")
+const {scanCodebase} = require("../src/scanner")
+const {getValueHint} = require("../src/hints")
+const {tempDir} = require("./helpers")
+
+function byName(fields) {
+  return Object.fromEntries(fields.map(({name, line, ...rest}) => [name, rest]))
+}
+
+test("reads t3-env createEnv server and client fields", () => {
+  const source = [
+    "import { createEnv } from \"@t3-oss/env-nextjs\"",
+    "export const env = createEnv({",
+    "  server: {",
+    "    DATABASE_URL: z.string().url(),",
+    "    NODE_ENV: z.enum([\"development\", \"production\"]).default(\"development\"),",
+    "  },",
+    "  client: { NEXT_PUBLIC_API: z.string().optional().describe(\"Public API base\") },",
+    "})",
+  ].join("\n")
+  assert.deepEqual(byName(extractJsSchema(source, "env.ts")), {
+    DATABASE_URL: {type: "URL", choices: [], optional: false},
+    NODE_ENV: {type: "Enum", choices: ["development", "production"], optional: true, defaultValue: "development"},
+    NEXT_PUBLIC_API: {type: "String", choices: [], optional: true, description: "Public API base"},
+  })
+})
+
+test("reads envalid cleanEnv validators", () => {
+  const source = "const env = cleanEnv(process.env, {\n  PORT: port({ default: 3000, desc: \"HTTP port\" }),\n  MODE: str({ choices: [\"a\", \"b\"] }),\n  FLAG: bool(),\n})\n"
+  assert.deepEqual(byName(extractJsSchema(source, "env.js")), {
+    PORT: {type: "Number", choices: [], optional: true, defaultValue: "3000", description: "HTTP port"},
+    MODE: {type: "Enum", choices: ["a", "b"], optional: false},
+    FLAG: {type: "Flag", choices: [], optional: false},
+  })
+})
+
+test("reads a plain zod object", () => {
+  const fields = extractJsSchema("const schema = z.object({\n  COUNT: z.coerce.number().int(),\n  TOKEN: z.string().min(32),\n})\n", "env.ts")
+  assert.deepEqual(fields.map(f => [f.name, f.line, f.type]), [["COUNT", 2, "Number"], ["TOKEN", 3, "String"]])
+  assert.deepEqual(extractJsSchema("const x = z.string()\n", "other.ts"), [])
+})
+
+test("reads pydantic settings with env_prefix and aliases", () => {
+  const source = [
+    "from pydantic_settings import BaseSettings, SettingsConfigDict",
+    "from pydantic import Field",
+    "",
+    "class Settings(BaseSettings):",
+    "    model_config = SettingsConfigDict(env_prefix=\"APP_\")",
+    "    database_url: str",
+    "    port: int = 8000",
+    "    debug: bool = False",
+    "    mode: Literal[\"dev\", \"prod\"] = \"dev\"",
+    "    token: Optional[str] = None",
+    "    api_key: str = Field(..., alias=\"EXTERNAL_API_KEY\", description=\"Key for the API\")",
+  ].join("\n")
+  assert.deepEqual(byName(extractPythonSchema(source)), {
+    APP_DATABASE_URL: {type: "String", choices: [], optional: false},
+    APP_PORT: {type: "Number", choices: [], optional: true, defaultValue: "8000"},
+    APP_DEBUG: {type: "Flag", choices: [], optional: true, defaultValue: "false"},
+    APP_MODE: {type: "Enum", choices: ["dev", "prod"], optional: true, defaultValue: "dev"},
+    APP_TOKEN: {type: "String", choices: [], optional: true},
+    EXTERNAL_API_KEY: {type: "String", choices: [], optional: false, description: "Key for the API"},
+  })
+  assert.deepEqual(extractPythonSchema("class Plain:\n    port: int = 1\n"), [])
+})
+
+test("a deep scan attaches the schema, which drives the hint", async () => {
+  const dir = tempDir({
+    "src/env.ts": "export const env = createEnv({\n  server: { LOG_LEVEL: z.enum([\"debug\", \"info\"]).describe(\"Verbosity\") },\n})\n",
+  })
+  const entry = (await scanCodebase(dir, {cache: false})).get("LOG_LEVEL")
+  assert.equal(entry.schema.source, "src/env.ts")
+  assert.equal(entry.required, true)
+  assert.deepEqual(getValueHint("LOG_LEVEL", entry.schema), {type: "Enum", hint: "Verbosity · one of: debug | info"})
+})
@@ -0,0 +1,100 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const {parseEnvContent} = require("../src/dotenv")
+const {loadKey, encryptEnvFile, decryptEnvFile, readEncryptedEnv, sealValues} = require("../src/vault")
+const {tempDir, read} = require("./helpers")
+
+const PLAIN = "# database\nDB_URL=postgres://u:p@host/db\nexport TOKEN='t0k3n'  # rotate monthly\nPEM=\"a\\nb\"\nEMPTY=\n"
+
+test("encrypt then decrypt gives back the original file", () => {
+  const dir = tempDir({".env": PLAIN})
+  const key = crypto.randomBytes(32)
+  const {targetPath, count} = encryptEnvFile(path.join(dir, ".env"), key)
+
+  assert.equal(targetPath, path.join(dir, ".env.enc"))
+  assert.equal(count, 4)
+  const sealed = read(dir, ".env.enc")
+  assert.match(sealed, /^# database\nDB_URL=enc:v1:/)
+  assert.match(sealed, /^export TOKEN=.*  # rotate monthly$/m)
+  assert.doesNotMatch(sealed, /postgres|t0k3n/)
+
+  assert.deepEqual(decryptEnvFile(targetPath, key), {content: PLAIN, count: 4})
+  assert.deepEqual(readEncryptedEnv(targetPath, key), parseEnvContent(PLAIN))
+})
+
+test("re-encrypting keeps the ciphertext of unchanged values", () => {
+  const dir = tempDir({".env": "A=1\nB=2\n"})
+  const key = crypto.randomBytes(32)
+  const source = path.join(dir, ".env")
+  encryptEnvFile(source, key)
+  const first = parseEnvContent(read(dir, ".env.enc"))
+
+  fs.writeFileSync(source, "A=1\nB=3\n")
+  encryptEnvFile(source, key)
+  const second = parseEnvContent(read(dir, ".env.enc"))
+  assert.equal(second.get("A"), first.get("A"))
+  assert.notEqual(second.get("B"), first.get("B"))
+})
+
+test("sealValues only re-seals values that changed", () => {
+  const dir = tempDir({".env": "A=1\n"})
+  const key = crypto.randomBytes(32)
+  encryptEnvFile(path.join(dir, ".env"), key)
+  const target = path.join(dir, ".env.enc")
+  const before = parseEnvContent(read(dir, ".env.enc")).get("A")
+
+  const sealed = sealValues(target, new Map([["A", "1"], ["B", "2"]]), key)
+  assert.equal(sealed.get("A"), before)
+  assert.match(sealed.get("B"), /^enc:v1:/)
+})
+
+test("a wrong key or a value moved to another key fails to decrypt", () => {
+  const dir = tempDir({".env": "A=secret\n"})
+  const key = crypto.randomBytes(32)
+  const target = encryptEnvFile(path.join(dir, ".env"), key).targetPath
+
+  assert.throws(() => decryptEnvFile(target, crypto.randomBytes(32)), /Could not decrypt A/)
+
+  fs.writeFileSync(target, read(dir, ".env.enc").replace(/^A=/, "B="))
+  assert.throws(() => decryptEnvFile(target, key), /Could not decrypt B/)
+})
+
+test("loadKey creates a key file once and reads it afterwards", () => {
+  const previous = process.env.ENVSETTER_KEY
+  delete process.env.ENVSETTER_KEY
+  try {
+    const dir = tempDir()
+    assert.throws(() => loadKey(dir), /No encryption key found/)
+
+    const created = loadKey(dir, true)
+    assert.equal(created.created, true)
+    assert.equal(created.key.length, 32)
+    assert.equal(read(dir, ".envsetter/.gitignore").includes("*"), true)
+
+    const loaded = loadKey(dir)
+    assert.equal(loaded.created, false)
+    assert.deepEqual(loaded.key, created.key)
+  } finally {
+    if (previous !== undefined) process.env.ENVSETTER_KEY = previous
+  }
+})
+
+test("loadKey prefers $ENVSETTER_KEY and rejects short keys", () => {
+  const previous = process.env.ENVSETTER_KEY
+  try {
+    const key = crypto.randomBytes(32)
+    process.env.ENVSETTER_KEY = key.toString("hex")
+    assert.deepEqual(loadKey(tempDir()).key, key)
+
+    process.env.ENVSETTER_KEY = crypto.randomBytes(16).toString("base64")
+    assert.throws(() => loadKey(tempDir()), /must hold a 256-bit key/)
+  } finally {
+    if (previous === undefined) delete process.env.ENVSETTER_KEY
+    else process.env.ENVSETTER_KEY = previous
+  }
+})
@@ -0,0 +1,54 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const {createScanIndex} = require("../src/watch")
+const {tempDir} = require("./helpers")
+
+test("update re-scans changed files and reports added and removed variables", async () => {
+  const dir = tempDir({
+    "src/a.js": "process.env.DATABASE_URL\n",
+    "src/b.js": "process.env.DATABASE_URL\nprocess.env.OLD_FLAG\n",
+  })
+  const index = await createScanIndex(dir, {cache: false})
+  assert.equal(index.fileCount, 2)
+  assert.deepEqual([...index.vars.keys()].sort(), ["DATABASE_URL", "OLD_FLAG"])
+
+  const a = path.join(dir, "src/a.js")
+  const b = path.join(dir, "src/b.js")
+  const c = path.join(dir, "src/c.ts")
+  fs.writeFileSync(a, "process.env.DATABASE_URL\nprocess.env.NEW_FLAG || \"off\"\n")
+  fs.writeFileSync(c, "const { PORT = 3000 } = process.env\n")
+  fs.unlinkSync(b)
+
+  assert.deepEqual(index.update([a, b, c]), {added: ["NEW_FLAG", "PORT"], removed: ["OLD_FLAG"]})
+  assert.deepEqual([...index.vars.get("DATABASE_URL").files], ["src/a.js"])
+  assert.equal(index.vars.get("NEW_FLAG").required, false)
+  assert.deepEqual(index.vars.get("PORT").locations, [{file: "src/c.ts", line: 1, column: 9}])
+})
+
+test("an update without changes reports nothing", async () => {
+  const dir = tempDir({"src/a.js": "process.env.DATABASE_URL\n"})
+  const index = await createScanIndex(dir, {cache: false})
+  assert.deepEqual(index.update([path.join(dir, "src/a.js")]), {added: [], removed: []})
+})
+
+test("files the scan skips stay out of the index", async () => {
+  const dir = tempDir({".gitignore": "dist/\n", "src/a.js": ""})
+  const index = await createScanIndex(dir, {cache: false})
+  const files = {
+    "notes.txt": "process.env.IN_TEXT",
+    "dist/bundle.js": "process.env.IN_DIST",
+    "node_modules/x/index.js": "process.env.IN_DEPS",
+    ".env": "IN_ENV=1",
+  }
+  const paths = Object.entries(files).map(([name, content]) => {
+    const fullPath = path.join(dir, name)
+    fs.mkdirSync(path.dirname(fullPath), {recursive: true})
+    fs.writeFileSync(fullPath, content)
+    return fullPath
+  })
+  assert.deepEqual(index.update(paths), {added: [], removed: []})
+})
@@ -0,0 +1,152 @@
+"use strict"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const {parseEnvContent} = require("../src/dotenv")
+const {writeEnvFile, removeEnvKeys, formatValue, syncToEnvExample} = require("../src/writer")
+const {tempDir, read} = require("./helpers")
+
+function write(content, vars) {
+  const dir = tempDir({".env": content})
+  writeEnvFile(path.join(dir, ".env"), new Map(Object.entries(vars)))
+  return read(dir, ".env")
+}
+
+const TRICKY_VALUES = [
+  "",
+  "plain",
+  "with space",
+  " leading and trailing ",
+  "hash # inside",
+  "#starts-with-hash",
+  "url=http://x/?a=b&c=d#frag",
+  "quote \" double",
+  "quote ' single",
+  "`backtick`",
+  "back\\slash",
+  "$HOME and ${VAR}",
+  "line one\nline two",
+  "-----BEGIN KEY-----\nabc\n-----END KEY-----",
+  "tab\there",
+  "ünïcödé ✓",
+]
+
+// Every shape of line the writer updates in place
+const EXISTING_LINES = [
+  "",
+  "KEY=old\n",
+  "KEY=\n",
+  "KEY='old'\n",
+  "KEY=`old`\n",
+  "KEY=\"a\nb\"\n",
+  "KEY=old # note\n",
+  "KEY= # optional\n",
+  "KEY=# note\n",
+  "KEY=\"\" # note\n",
+  "KEY: old\n",
+  "  export KEY = \"old\"  # note\n",
+]
+
+test("formatValue output reads back as the same value", () => {
+  for (const value of TRICKY_VALUES) {
+    const line = `KEY=${formatValue(value)}`
+    assert.equal(parseEnvContent(line).get("KEY"), value, line)
+  }
+})
+
+test("written values read back unchanged — new and updated keys", () => {
+  for (const value of TRICKY_VALUES) {
+    for (const existing of EXISTING_LINES) {
+      const content = write(existing, {KEY: value})
+      assert.equal(parseEnvContent(content).get("KEY"), value, JSON.stringify({existing, content}))
+    }
+  }
+})
+
+test("a value set on an empty entry with a comment keeps the comment apart", () => {
+  assert.equal(write("API_KEY= # optional\n", {API_KEY: "secret"}), "API_KEY= secret # optional\n")
+  assert.equal(write("API_KEY=# optional\n", {API_KEY: "secret"}), "API_KEY=secret # optional\n")
+  assert.equal(write("API_KEY=secret # optional\n", {API_KEY: ""}), "API_KEY= # optional\n")
+})
+
+test("updating a key changes only its value", () => {
+  const before = "# header\n\nexport A='old'  # keep me\nB = 2\n\n# tail\n"
+  assert.equal(write(before, {A: "new"}), "# header\n\nexport A='new'  # keep me\nB = 2\n\n# tail\n")
+})
+
+test("new keys are appended after a blank line", () => {
+  assert.equal(write("A=1\n", {B: "2", C: "x y"}), "A=1\n\nB=2\nC=\"x y\"\n")
+})
+
+test("keeps CRLF line endings", () => {
+  assert.equal(write("A=1\r\nB=2\r\n", {B: "3", C: "4"}), "A=1\r\nB=3\r\n\r\nC=4\r\n")
+})
+
+test("a multiline value stays multiline", () => {
+  const content = write("KEY=\"a\nb\"\nNEXT=1\n", {KEY: "c\nd\ne"})
+  assert.equal(content, "KEY=\"c\nd\ne\"\nNEXT=1\n")
+})
+
+test("removeEnvKeys drops every line of the entry and keeps comments", () => {
+  const dir = tempDir({".env": "# db\nA=1\nPEM=\"x\ny\"\n# api\nB=2\n"})
+  assert.equal(removeEnvKeys(path.join(dir, ".env"), ["PEM", "B", "MISSING"]), 2)
+  assert.equal(read(dir, ".env"), "# db\nA=1\n# api\n")
+})
+
+test("removeEnvKeys only collapses blank lines where a key was removed", () => {
+  const dir = tempDir({".env": "A=1\n\nB=2\n\nC=3\n\n\n# untouched section\nD=4\n"})
+  removeEnvKeys(path.join(dir, ".env"), ["B"])
+  assert.equal(read(dir, ".env"), "A=1\n\nC=3\n\n\n# untouched section\nD=4\n")
+
+  removeEnvKeys(path.join(dir, ".env"), ["A"])
+  assert.equal(read(dir, ".env"), "C=3\n\n\n# untouched section\nD=4\n")
+})
+
+test("removeEnvKeys leaves the file alone when no key matches", () => {
+  const dir = tempDir({".env": "A=1\n\n\nB=2"})
+  assert.equal(removeEnvKeys(path.join(dir, ".env"), ["C"]), 0)
+  assert.equal(read(dir, ".env"), "A=1\n\n\nB=2")
+})
+
+test("a new .env.example is readable by everyone", () => {
+  const dir = tempDir()
+  syncToEnvExample(dir, ["PORT"])
+  assert.equal(fs.statSync(path.join(dir, ".env.example")).mode & 0o044, 0o044 & ~process.umask())
+})
+
+test("a generated .env.example copied to .env can be filled in", () => {
+  const entry = (required, defaults = [], line = 1) => ({
+    files: new Set(["src/app.js"]),
+    locations: [{file: "src/app.js", line, column: 1}],
+    defaults: new Set(defaults),
+    required,
+  })
+  const foundVars = new Map([
+    ["DATABASE_URL", entry(true, [], 1)],
+    ["API_KEY", entry(false, [], 2)],
+    ["PORT", entry(false, ["3000"], 3)],
+    ["LOG_LEVEL", entry(false, ["info"], 4)],
+  ])
+  const dir = tempDir()
+  syncToEnvExample(dir, [...foundVars.keys()], foundVars)
+
+  const example = read(dir, ".env.example")
+  assert.match(example, /^API_KEY= # optional$/m)
+  fs.copyFileSync(path.join(dir, ".env.example"), path.join(dir, ".env"))
+
+  const values = {
+    DATABASE_URL: "postgres://localhost/app",
+    API_KEY: "secret",
+    PORT: "8080",
+    LOG_LEVEL: "debug # verbose",
+  }
+  writeEnvFile(path.join(dir, ".env"), new Map(Object.entries(values)))
+
+  const filled = read(dir, ".env")
+  assert.deepEqual(Object.fromEntries(parseEnvContent(filled)), values)
+  assert.match(filled, /^API_KEY= secret # optional$/m)
+  assert.equal(filled.split("\n").filter(line => line.startsWith("#")).join("\n"),
+    example.split("\n").filter(line => line.startsWith("#")).join("\n"))
+})